@@ -9,6 +9,23 @@ export const CONFIG = {
   // maxProblems: 10, // Optional: Limit "Practice All" sessions to this many problems
   // timeLimit: 60, // Optional: Default seconds per question (0 or omit = disabled)
   // timeLimitOptions: [45, 60, 90], // Optional: Let learners choose a timer (Off is included)
+  // sessionTimeLimit: 3600, // Optional: Seconds for a whole session (a unit's or chapter's own sessionTimeLimit overrides it)
+  // sessionTimeWarning: 300, // Optional: Highlight the session countdown this many seconds before the end (default: last 10%)
+  // scoring: "partial", // Optional: Part-credit for ordering and multi-select (default: "all-or-nothing")
+  // selection: "adaptive", // Optional: Pick each problem live from Elo ratings (default: "shuffle")
+  // mode: "exam", // Optional: Mock exams — no feedback until "Submit Exam", free navigation and flags
+  // shuffleOptions: true, // Optional: Shuffle multiple-choice and multi-select options (keep one in place with "pin": true)
+  // seed: "spring-cohort", // Optional: Give every learner the same problem order, options and values
+  // hintPenalty: 0.2, // Optional: Credit lost per hint revealed (default: 0.25)
+  // confidence: true, // Optional: Ask learners to rate confidence (low/medium/high) per answer
+  // streaks: { minQuestions: 10 }, // Optional: What counts as a practiced day (default: 1 question)
+  // Optional: target topic mix for the dashboard and "Practice to Blueprint"
+  // (weights are relative; areas are a tag, unit id, or "unit-N-chapter-M")
+  // blueprint: [
+  //   { tag: "networking", weight: 30 },
+  //   { tag: "storage", weight: 20 },
+  //   { unit: 2, weight: 50 },
+  // ],
   // Optional: weighted probability for question types (default: 1)
   // typeWeights: {
   //   "multiple-choice": 1,
@@ -16,6 +33,10 @@ export const CONFIG = {
   //   "ordering": 1,
   //   "multi-select": 1,
   //   "two-stage": 1,
+  //   "fill-in-blank": 1,
+  //   "matching": 1,
+  //   "case": 1,
+  //   "hotspot": 1,
   // },
   units: [
     {
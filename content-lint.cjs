@@ -3,7 +3,8 @@
 /**
  * content-lint.cjs — Zero-dependency content quality linter for OpenQuizzer.
  *
- * Scans content/*.json for structural issues, duplicates, and suspicious text.
+ * Scans content/*.json for structural issues, duplicates, missing image
+ * assets, and suspicious text.
  *
  * Usage:
  *   node content-lint.cjs           # terminal summary
@@ -62,10 +63,17 @@ function addIssue(severity, file, problemId, check, message) {
 
 // ── Structural Validation ──────────────────────────────────────────────────
 
-/** Required top-level fields for every problem (two-stage excludes "question"). */
+/** Required top-level fields for every problem (staged types exclude "question"). */
 const BASE_REQUIRED = ["id", "type", "question"];
 const BASE_REQUIRED_TWO_STAGE = ["id", "type"];
 
+/** Types whose prompts live in `stages` rather than a top-level question. */
+const STAGED_TYPES = ["two-stage", "case"];
+
+/** Allowed number of linked prompts in a case problem. */
+const CASE_MIN_STAGES = 4;
+const CASE_MAX_STAGES = 8;
+
 /** Type-specific required fields. */
 const TYPE_REQUIRED = {
   "multiple-choice": ["options", "correct", "explanation"],
@@ -73,16 +81,24 @@ const TYPE_REQUIRED = {
   ordering: ["items", "correctOrder", "explanation"],
   "multi-select": ["options", "correctIndices", "explanation"],
   "two-stage": ["stages"],
+  "fill-in-blank": ["blanks", "explanation"],
+  matching: ["left", "right", "pairs", "explanation"],
+  case: ["scenario", "stages"],
+  hotspot: ["image", "regions", "explanation"],
 };
 
+/** Fill-in-blank gap marker in question text (mirrors the engine). */
+const BLANK_PATTERN = /_{3,}/g;
+
 const VALID_TYPES = Object.keys(TYPE_REQUIRED);
 
 function validateStructure(problem, file) {
   const pid = problem.id || "(no id)";
 
-  // Base fields (two-stage problems don't require top-level "question")
-  const required =
-    problem.type === "two-stage" ? BASE_REQUIRED_TWO_STAGE : BASE_REQUIRED;
+  // Base fields (staged problems don't require top-level "question")
+  const required = STAGED_TYPES.includes(problem.type)
+    ? BASE_REQUIRED_TWO_STAGE
+    : BASE_REQUIRED;
   for (const field of required) {
     if (problem[field] === undefined || problem[field] === null) {
       addIssue(
@@ -165,54 +181,490 @@ function validateStructure(problem, file) {
       }
       break;
 
+    case "fill-in-blank":
+      if (
+        Array.isArray(problem.blanks) &&
+        typeof problem.question === "string"
+      ) {
+        const gapCount = (problem.question.match(BLANK_PATTERN) || []).length;
+        if (gapCount !== problem.blanks.length) {
+          addIssue(
+            "error",
+            file,
+            pid,
+            "structure",
+            `Question has ${gapCount} blank(s) (___) but blanks has ${problem.blanks.length} entries`,
+          );
+        }
+        for (let i = 0; i < problem.blanks.length; i++) {
+          const blank = problem.blanks[i];
+          const answers = Array.isArray(blank) ? blank : blank && blank.answers;
+          if (
+            !Array.isArray(answers) ||
+            answers.length === 0 ||
+            answers.some((a) => typeof a !== "string" || !a.trim())
+          ) {
+            addIssue(
+              "error",
+              file,
+              pid,
+              "structure",
+              `Blank ${i + 1} needs a non-empty list of accepted answer strings`,
+            );
+          }
+        }
+      }
+      break;
+
+    case "matching":
+      if (
+        Array.isArray(problem.left) &&
+        Array.isArray(problem.right) &&
+        Array.isArray(problem.pairs)
+      ) {
+        if (problem.right.length < problem.left.length) {
+          addIssue(
+            "error",
+            file,
+            pid,
+            "structure",
+            `right column (${problem.right.length}) is shorter than left column (${problem.left.length})`,
+          );
+        }
+        const seenLeft = new Set();
+        const seenRight = new Set();
+        for (const pair of problem.pairs) {
+          if (!Array.isArray(pair) || pair.length !== 2) {
+            addIssue(
+              "error",
+              file,
+              pid,
+              "structure",
+              `pairs entries must be [leftIndex, rightIndex], found ${JSON.stringify(pair)}`,
+            );
+            continue;
+          }
+          const [left, right] = pair;
+          if (left < 0 || left >= problem.left.length) {
+            addIssue(
+              "error",
+              file,
+              pid,
+              "structure",
+              `pairs left index ${left} out of bounds (${problem.left.length} items)`,
+            );
+          }
+          if (right < 0 || right >= problem.right.length) {
+            addIssue(
+              "error",
+              file,
+              pid,
+              "structure",
+              `pairs right index ${right} out of bounds (${problem.right.length} items)`,
+            );
+          }
+          if (seenLeft.has(left) || seenRight.has(right)) {
+            addIssue(
+              "error",
+              file,
+              pid,
+              "structure",
+              `pairs reuses an item: [${left}, ${right}] — matching is one-to-one`,
+            );
+          }
+          seenLeft.add(left);
+          seenRight.add(right);
+        }
+        if (seenLeft.size !== problem.left.length) {
+          addIssue(
+            "error",
+            file,
+            pid,
+            "structure",
+            `pairs covers ${seenLeft.size} of ${problem.left.length} left items — every left item needs a match`,
+          );
+        }
+      }
+      break;
+
     case "two-stage":
       if (Array.isArray(problem.stages)) {
-        if (problem.stages.length !== 2) {
+        if (problem.stages.length < 2) {
           addIssue(
             "error",
             file,
             pid,
             "structure",
-            `two-stage problem should have exactly 2 stages, found ${problem.stages.length}`,
+            `two-stage problem should have at least 2 stages, found ${problem.stages.length}`,
           );
         }
-        for (let i = 0; i < problem.stages.length; i++) {
-          const stage = problem.stages[i];
-          for (const field of [
-            "question",
-            "options",
-            "correct",
-            "explanation",
-          ]) {
-            if (stage[field] === undefined || stage[field] === null) {
+        validateStages(problem, file);
+      }
+      break;
+
+    case "hotspot":
+      if (problem.regions !== undefined) {
+        if (!Array.isArray(problem.regions) || problem.regions.length === 0) {
+          addIssue(
+            "error",
+            file,
+            pid,
+            "structure",
+            "hotspot regions must be a non-empty array",
+          );
+        } else {
+          problem.regions.forEach((region, i) => {
+            const issue = hotspotRegionProblem(region);
+            if (issue) {
               addIssue(
                 "error",
                 file,
                 pid,
                 "structure",
-                `Stage ${i + 1} missing required field: ${field}`,
+                `Region ${i + 1} ${issue}`,
               );
             }
-          }
+          });
+        }
+      }
+      break;
+
+    case "case":
+      if (Array.isArray(problem.stages)) {
+        if (
+          problem.stages.length < CASE_MIN_STAGES ||
+          problem.stages.length > CASE_MAX_STAGES
+        ) {
+          addIssue(
+            "error",
+            file,
+            pid,
+            "structure",
+            `case problem should have ${CASE_MIN_STAGES}-${CASE_MAX_STAGES} stages, found ${problem.stages.length}`,
+          );
+        }
+        validateStages(problem, file);
+        problem.stages.forEach((stage, i) => {
           if (
-            Array.isArray(stage.options) &&
-            typeof stage.correct === "number" &&
-            (stage.correct < 0 || stage.correct >= stage.options.length)
+            stage.constraint !== undefined &&
+            (typeof stage.constraint !== "string" || !stage.constraint.trim())
           ) {
             addIssue(
               "error",
               file,
               pid,
               "structure",
-              `Stage ${i + 1} correct index ${stage.correct} out of bounds (${stage.options.length} options)`,
+              `Stage ${i + 1} constraint must be a non-empty string`,
             );
           }
-        }
+        });
       }
       break;
   }
 }
 
+/** A stage's `next`: another stage's index, "end", or null (array entries only). */
+function isBranchTarget(target, stageIndex, stageCount) {
+  return (
+    target === "end" ||
+    (Number.isInteger(target) &&
+      target >= 0 &&
+      target < stageCount &&
+      target !== stageIndex)
+  );
+}
+
+/** Stages reachable in one step from `stageIndex` (mirrors the engine's branching). */
+function stageSuccessors(stages, stageIndex) {
+  const rule = stages[stageIndex].next;
+  const options = Array.isArray(stages[stageIndex].options)
+    ? stages[stageIndex].options
+    : [];
+  const targets = Array.isArray(rule) ? rule : options.map(() => rule);
+  const successors = new Set();
+  for (const target of targets) {
+    if (target === "end") continue;
+    const next = Number.isInteger(target) ? target : stageIndex + 1;
+    if (next >= 0 && next < stages.length) successors.add(next);
+  }
+  return [...successors];
+}
+
+/** Branching checks: valid `next` targets, no loops, every stage reachable. */
+function validateBranching(problem, file) {
+  const pid = problem.id || "(no id)";
+  const stages = problem.stages;
+
+  let valid = true;
+  stages.forEach((stage, i) => {
+    if (stage.next === undefined) return;
+    if (Array.isArray(stage.next)) {
+      if (
+        Array.isArray(stage.options) &&
+        stage.next.length !== stage.options.length
+      ) {
+        valid = false;
+        addIssue(
+          "error",
+          file,
+          pid,
+          "structure",
+          `Stage ${i + 1} next has ${stage.next.length} entries for ${stage.options.length} options`,
+        );
+      }
+      stage.next.forEach((target, optionIndex) => {
+        if (target !== null && !isBranchTarget(target, i, stages.length)) {
+          valid = false;
+          addIssue(
+            "error",
+            file,
+            pid,
+            "structure",
+            `Stage ${i + 1} option ${optionIndex + 1} has invalid next: ${JSON.stringify(target)}`,
+          );
+        }
+      });
+    } else if (!isBranchTarget(stage.next, i, stages.length)) {
+      valid = false;
+      addIssue(
+        "error",
+        file,
+        pid,
+        "structure",
+        `Stage ${i + 1} has invalid next: ${JSON.stringify(stage.next)}`,
+      );
+    }
+  });
+  if (!valid) return;
+
+  // Depth-first walk from the first stage: revisiting a stage still on the
+  // current path is a loop (the engine would end the problem there)
+  const visited = new Set();
+  const onPath = new Set();
+  let loopAt = -1;
+  const walk = (index) => {
+    visited.add(index);
+    onPath.add(index);
+    for (const next of stageSuccessors(stages, index)) {
+      if (onPath.has(next)) loopAt = index;
+      else if (!visited.has(next)) walk(next);
+    }
+    onPath.delete(index);
+  };
+  walk(0);
+
+  if (loopAt !== -1) {
+    addIssue(
+      "error",
+      file,
+      pid,
+      "structure",
+      `Stage ${loopAt + 1} branches back to an earlier stage on its path`,
+    );
+  }
+  stages.forEach((_, i) => {
+    if (!visited.has(i)) {
+      addIssue(
+        "warning",
+        file,
+        pid,
+        "structure",
+        `Stage ${i + 1} is unreachable from the first stage`,
+      );
+    }
+  });
+}
+
+/** Image-relative coordinate (0–1). */
+function isUnitCoordinate(value) {
+  return typeof value === "number" && value >= 0 && value <= 1;
+}
+
+/** Why a hotspot region is malformed, or null if it's valid. */
+function hotspotRegionProblem(region) {
+  if (!region || typeof region !== "object") return "must be an object";
+  switch (region.shape) {
+    case "rect":
+      if (![region.x, region.y].every(isUnitCoordinate)) {
+        return "x and y must be between 0 and 1";
+      }
+      // Small tolerance so e.g. x 0.7 + width 0.3 isn't flagged by float error
+      if (
+        !(region.width > 0 && region.x + region.width <= 1 + 1e-9) ||
+        !(region.height > 0 && region.y + region.height <= 1 + 1e-9)
+      ) {
+        return "width and height must be positive and stay inside the image";
+      }
+      return null;
+    case "circle":
+      if (![region.cx, region.cy].every(isUnitCoordinate)) {
+        return "cx and cy must be between 0 and 1";
+      }
+      if (!(typeof region.r === "number" && region.r > 0)) {
+        return "r must be positive";
+      }
+      return null;
+    case "polygon":
+      if (!Array.isArray(region.points) || region.points.length < 3) {
+        return "polygon needs at least 3 points";
+      }
+      if (
+        !region.points.every(
+          (point) =>
+            Array.isArray(point) &&
+            point.length === 2 &&
+            point.every(isUnitCoordinate),
+        )
+      ) {
+        return "polygon points must be [x, y] pairs between 0 and 1";
+      }
+      return null;
+    default:
+      return `unknown shape: ${region.shape}`;
+  }
+}
+
+/** Per-stage fields and correct-index bounds shared by two-stage and case. */
+function validateStages(problem, file) {
+  const pid = problem.id || "(no id)";
+  for (let i = 0; i < problem.stages.length; i++) {
+    const stage = problem.stages[i];
+    for (const field of ["question", "options", "correct", "explanation"]) {
+      if (stage[field] === undefined || stage[field] === null) {
+        addIssue(
+          "error",
+          file,
+          pid,
+          "structure",
+          `Stage ${i + 1} missing required field: ${field}`,
+        );
+      }
+    }
+    if (
+      Array.isArray(stage.options) &&
+      typeof stage.correct === "number" &&
+      (stage.correct < 0 || stage.correct >= stage.options.length)
+    ) {
+      addIssue(
+        "error",
+        file,
+        pid,
+        "structure",
+        `Stage ${i + 1} correct index ${stage.correct} out of bounds (${stage.options.length} options)`,
+      );
+    }
+  }
+  validateBranching(problem, file);
+}
+
+// ── Option Validation ──────────────────────────────────────────────────────
+
+const isOptionObject = (option) =>
+  option !== null && typeof option === "object";
+
+/** Option text plus any distractor feedback, for the text-quality scans. */
+function optionStrings(options) {
+  if (!Array.isArray(options)) return [];
+  return options.flatMap((option) =>
+    isOptionObject(option)
+      ? [option.text, option.feedback].filter((t) => typeof t === "string")
+      : [option],
+  );
+}
+
+/**
+ * Options are strings or { text, feedback, pin } objects. Feedback explains a
+ * wrong choice, so it's never shown on a correct option; pin keeps an option
+ * in place when options are shuffled.
+ */
+function validateOptions(problem, file) {
+  const pid = problem.id || "(no id)";
+  if (
+    problem.shuffleOptions !== undefined &&
+    typeof problem.shuffleOptions !== "boolean"
+  ) {
+    addIssue(
+      "error",
+      file,
+      pid,
+      "options",
+      "shuffleOptions must be true or false",
+    );
+  }
+  const owners = [{ owner: problem, where: "" }];
+  if (Array.isArray(problem.stages)) {
+    problem.stages.forEach((stage, i) =>
+      owners.push({ owner: stage, where: `Stage ${i + 1} ` }),
+    );
+  }
+
+  for (const { owner, where } of owners) {
+    if (!Array.isArray(owner.options)) continue;
+    const correct =
+      owner === problem && problem.type === "multi-select"
+        ? problem.correctIndices || []
+        : [owner.correct];
+
+    owner.options.forEach((option, i) => {
+      const label = `${where}option ${i + 1}`;
+      if (!isOptionObject(option)) {
+        if (typeof option !== "string" || !option.trim()) {
+          addIssue(
+            "error",
+            file,
+            pid,
+            "options",
+            `${label} must be a non-empty string or { text, feedback }`,
+          );
+        }
+        return;
+      }
+      if (typeof option.text !== "string" || !option.text.trim()) {
+        addIssue("error", file, pid, "options", `${label} needs text`);
+      }
+      const stray = Object.keys(option).filter(
+        (key) => !["text", "feedback", "pin"].includes(key),
+      );
+      if (stray.length > 0) {
+        addIssue(
+          "error",
+          file,
+          pid,
+          "options",
+          `${label} has unexpected field(s): ${stray.join(", ")}`,
+        );
+      }
+      if (option.pin !== undefined && typeof option.pin !== "boolean") {
+        addIssue(
+          "error",
+          file,
+          pid,
+          "options",
+          `${label} pin must be true or false`,
+        );
+      }
+      if (option.feedback === undefined) return;
+      if (typeof option.feedback !== "string" || !option.feedback.trim()) {
+        addIssue(
+          "error",
+          file,
+          pid,
+          "options",
+          `${label} feedback must be a non-empty string`,
+        );
+      } else if (correct.includes(i)) {
+        addIssue(
+          "warning",
+          file,
+          pid,
+          "options",
+          `${label} is correct, so its feedback is never shown`,
+        );
+      }
+    });
+  }
+}
+
 // ── References Validation ──────────────────────────────────────────────────
 
 function validateReferences(problem, file) {
@@ -269,6 +721,472 @@ function validateReferences(problem, file) {
   }
 }
 
+// ── Hint Validation ────────────────────────────────────────────────────────
+
+/** Hints must be a list of non-empty strings, revealed in order. */
+function validateHints(problem, file) {
+  if (problem.hints === undefined) return;
+  const pid = problem.id || "(no id)";
+
+  if (!Array.isArray(problem.hints) || problem.hints.length === 0) {
+    addIssue(
+      "error",
+      file,
+      pid,
+      "hints",
+      "hints must be a non-empty array of strings",
+    );
+    return;
+  }
+  problem.hints.forEach((hint, i) => {
+    if (typeof hint !== "string" || hint.trim() === "") {
+      addIssue(
+        "error",
+        file,
+        pid,
+        "hints",
+        `Hint ${i + 1} must be a non-empty string`,
+      );
+    }
+  });
+}
+
+// ── Tolerance Validation ───────────────────────────────────────────────────
+
+/** Tolerance object modes and their keys (mirrors checkNumericAnswer). */
+const TOLERANCE_MODES = [
+  ["absolute"],
+  ["below", "above"],
+  ["log10"],
+  ["range"],
+];
+
+const isNonNegative = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+/** Problems with a tolerance shape the engine can't grade, or that rejects every answer. */
+function validateTolerance(problem, file) {
+  if (problem.type !== "numeric-input" || problem.tolerance === undefined) {
+    return;
+  }
+  const pid = problem.id || "(no id)";
+  const tolerance = problem.tolerance;
+  const report = (severity, message) =>
+    addIssue(severity, file, pid, "tolerance", message);
+  // Templated answers are strings until generated
+  const answer = typeof problem.answer === "number" ? problem.answer : null;
+
+  if (typeof tolerance === "string") {
+    if (tolerance !== "exact" && tolerance !== "order-of-magnitude") {
+      report(
+        "error",
+        `Unknown tolerance "${tolerance}" (expected "exact" or "order-of-magnitude")`,
+      );
+    }
+    return;
+  }
+  if (typeof tolerance === "number") {
+    if (!isNonNegative(tolerance)) {
+      report("error", "Relative tolerance must be a non-negative number");
+    }
+    if (answer === 0) {
+      report(
+        "warning",
+        "Relative tolerance with answer 0 accepts only 0; use { absolute } or { range }",
+      );
+    }
+    return;
+  }
+  if (!tolerance || typeof tolerance !== "object" || Array.isArray(tolerance)) {
+    report("error", "tolerance must be a string, a number or an object");
+    return;
+  }
+
+  const keys = Object.keys(tolerance);
+  const mode = TOLERANCE_MODES.find((modeKeys) =>
+    keys.some((key) => modeKeys.includes(key)),
+  );
+  const stray = keys.filter((key) => !mode || !mode.includes(key));
+  if (!mode || stray.length > 0) {
+    report(
+      "error",
+      `tolerance object needs exactly one of { absolute }, { below, above }, { log10 } or { range }` +
+        (stray.length > 0 ? ` (unexpected: ${stray.join(", ")})` : ""),
+    );
+    return;
+  }
+
+  if (mode[0] === "range") {
+    const range = tolerance.range;
+    if (
+      !Array.isArray(range) ||
+      range.length !== 2 ||
+      !range.every((n) => typeof n === "number" && Number.isFinite(n)) ||
+      range[0] > range[1]
+    ) {
+      report(
+        "error",
+        "tolerance range must be [low, high] numbers, low <= high",
+      );
+    } else if (answer !== null && (answer < range[0] || answer > range[1])) {
+      report("error", `answer ${answer} is outside the tolerance range`);
+    }
+    return;
+  }
+
+  for (const key of keys) {
+    if (!isNonNegative(tolerance[key])) {
+      report("error", `tolerance ${key} must be a non-negative number`);
+    }
+  }
+  if (mode[0] === "log10" && answer === 0) {
+    report("error", "log10 tolerance can't be used with answer 0");
+  } else if (mode[0] === "below" && answer === 0) {
+    report(
+      "warning",
+      "Relative tolerance with answer 0 accepts only 0; use { absolute } or { range }",
+    );
+  }
+}
+
+// ── Numeric Unit Validation ────────────────────────────────────────────────
+
+/** Unit names per numeric-input `dimension` (mirrors the engine's tables). */
+const UNIT_NAMES = (() => {
+  const bytes = ["b", "byte", "bytes"];
+  for (const [prefix, si, binary] of [
+    ["k", "kilo", "kibi"],
+    ["m", "mega", "mebi"],
+    ["g", "giga", "gibi"],
+    ["t", "tera", "tebi"],
+    ["p", "peta", "pebi"],
+  ]) {
+    bytes.push(`${prefix}b`, `${si}byte`, `${si}bytes`);
+    bytes.push(`${prefix}ib`, `${binary}byte`, `${binary}bytes`);
+  }
+
+  const time = [];
+  const perUnits = [];
+  for (const [seconds, ...names] of [
+    [1e-9, "ns", "nanosecond"],
+    [1e-6, "us", "\u00b5s", "\u03bcs", "microsecond"],
+    [1e-3, "ms", "millisecond"],
+    [1, "s", "sec", "secs", "second"],
+    [60, "m", "min", "mins", "minute"],
+    [3600, "h", "hr", "hrs", "hour"],
+    [86400, "d", "day"],
+    [604800, "w", "wk", "week"],
+    [31536000, "y", "yr", "year"],
+  ]) {
+    const all = [...names, `${names[names.length - 1]}s`];
+    time.push(...all);
+    if (seconds >= 1) perUnits.push(...all);
+  }
+
+  const rate = ["rps", "qps", "tps", "rpm", "qpm"];
+  for (const noun of ["", "req", "reqs", "request", "requests", "queries"]) {
+    for (const per of perUnits) rate.push(`${noun}/${per}`);
+  }
+
+  return {
+    bytes: new Set(bytes),
+    time: new Set(time),
+    rate: new Set(rate),
+  };
+})();
+
+function validateNumericUnits(problem, file) {
+  if (problem.dimension === undefined) return;
+  const pid = problem.id || "(no id)";
+
+  if (problem.type !== "numeric-input") {
+    addIssue(
+      "error",
+      file,
+      pid,
+      "units",
+      "dimension only applies to numeric-input problems",
+    );
+    return;
+  }
+  const units = UNIT_NAMES[problem.dimension];
+  if (!units) {
+    addIssue(
+      "error",
+      file,
+      pid,
+      "units",
+      `Unknown dimension "${problem.dimension}" (expected ${Object.keys(UNIT_NAMES).join(", ")})`,
+    );
+    return;
+  }
+  // Without a recognized unit the answer is read in the base unit, which
+  // silently changes its meaning when the author meant e.g. "MB/s"
+  const unit = String(problem.unit || "")
+    .replace(/\s/g, "")
+    .toLowerCase();
+  if (unit && !units.has(unit)) {
+    addIssue(
+      "error",
+      file,
+      pid,
+      "units",
+      `unit "${problem.unit}" is not a ${problem.dimension} unit`,
+    );
+  }
+}
+
+// ── Template Validation ────────────────────────────────────────────────────
+
+/** {{expression}} placeholders in templated problems (mirrors the engine). */
+const TEMPLATE_PATTERN = /\{\{([^{}]+)\}\}/g;
+
+/** Functions template expressions may call (mirrors the engine). */
+const TEMPLATE_FUNCTIONS = new Set([
+  "round",
+  "floor",
+  "ceil",
+  "min",
+  "max",
+  "sqrt",
+  "abs",
+]);
+
+/** Every string in a problem (outside `variables`), with its field path. */
+function collectTemplateStrings(value, fieldPath, out = []) {
+  if (typeof value === "string") {
+    out.push({ text: value, field: fieldPath });
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) =>
+      collectTemplateStrings(item, `${fieldPath}[${i}]`, out),
+    );
+  } else if (value && typeof value === "object") {
+    for (const [key, item] of Object.entries(value)) {
+      if (fieldPath === "" && key === "variables") continue;
+      collectTemplateStrings(
+        item,
+        fieldPath ? `${fieldPath}.${key}` : key,
+        out,
+      );
+    }
+  }
+  return out;
+}
+
+/** Names an expression refers to that aren't in `known` (functions excluded). */
+function unknownTemplateNames(expression, known) {
+  const unknown = [];
+  // Lookbehind skips exponents in numbers such as 1e3
+  for (const match of expression.matchAll(
+    /(?<![\w.])([A-Za-z_]\w*)\s*(\()?/g,
+  )) {
+    const [, name, call] = match;
+    if (call ? !TEMPLATE_FUNCTIONS.has(name) : !known.has(name)) {
+      unknown.push(call ? `${name}()` : name);
+    }
+  }
+  return unknown;
+}
+
+function validateTemplates(problem, file) {
+  const pid = problem.id || "(no id)";
+  const variables = problem.variables;
+  const known = new Set();
+
+  if (variables !== undefined) {
+    if (
+      !variables ||
+      typeof variables !== "object" ||
+      Array.isArray(variables)
+    ) {
+      addIssue(
+        "error",
+        file,
+        pid,
+        "templates",
+        "variables must be an object of name → list, range or expression",
+      );
+      return;
+    }
+    for (const [name, spec] of Object.entries(variables)) {
+      let issue = null;
+      if (!/^[A-Za-z_]\w*$/.test(name)) {
+        issue = "name must be a letter or _ followed by letters, digits or _";
+      } else if (Array.isArray(spec)) {
+        if (spec.length === 0) issue = "list is empty";
+      } else if (typeof spec === "string") {
+        const unknown = unknownTemplateNames(
+          spec.replace(TEMPLATE_PATTERN, "$1"),
+          known,
+        );
+        if (unknown.length > 0) {
+          issue = `refers to undeclared ${unknown.join(", ")} (only earlier variables are available)`;
+        }
+      } else if (spec && typeof spec === "object") {
+        const { min, max, step = 1 } = spec;
+        if (typeof min !== "number" || typeof max !== "number" || max < min) {
+          issue = "range needs numeric min <= max";
+        } else if (typeof step !== "number" || step <= 0) {
+          issue = "range step must be positive";
+        }
+      } else {
+        issue = "must be a list, a { min, max, step } range or an expression";
+      }
+      if (issue) {
+        addIssue(
+          "error",
+          file,
+          pid,
+          "templates",
+          `Variable "${name}" ${issue}`,
+        );
+      }
+      known.add(name);
+    }
+  }
+
+  let usesPlaceholders = false;
+  for (const { text, field } of collectTemplateStrings(problem, "")) {
+    for (const [, expression] of text.matchAll(TEMPLATE_PATTERN)) {
+      usesPlaceholders = true;
+      if (variables === undefined) continue;
+      const unknown = unknownTemplateNames(expression, known);
+      if (unknown.length > 0) {
+        addIssue(
+          "error",
+          file,
+          pid,
+          "templates",
+          `${field} placeholder {{${expression.trim()}}} uses undeclared ${unknown.join(", ")}`,
+        );
+      }
+    }
+  }
+
+  if (usesPlaceholders && variables === undefined) {
+    addIssue(
+      "error",
+      file,
+      pid,
+      "templates",
+      "Uses {{...}} placeholders but declares no variables",
+    );
+  }
+  if (
+    problem.type === "numeric-input" &&
+    typeof problem.answer === "string" &&
+    variables === undefined
+  ) {
+    addIssue(
+      "error",
+      file,
+      pid,
+      "templates",
+      "String answer needs variables (otherwise use a number)",
+    );
+  }
+}
+
+// ── Image Validation ───────────────────────────────────────────────────────
+
+/** Image sources that aren't local files under content/ (not checked on disk). */
+const REMOTE_IMAGE_PATTERN = /^([a-z][a-z0-9+.-]*:|\/)/i;
+
+/** Every image on a problem: question, stages, and per-option images. */
+function collectImages(problem) {
+  const images = [];
+  const addOptionImages = (owner, label) => {
+    if (owner.optionImages === undefined) return;
+    if (!Array.isArray(owner.optionImages)) {
+      images.push({ invalid: "optionImages must be an array", label });
+      return;
+    }
+    owner.optionImages.forEach((image, i) => {
+      if (image !== null) {
+        images.push({ image, label: `${label}option ${i + 1} image` });
+      }
+    });
+  };
+
+  if (problem.image !== undefined) {
+    images.push({ image: problem.image, label: "image" });
+  }
+  addOptionImages(problem, "");
+  if (Array.isArray(problem.stages)) {
+    problem.stages.forEach((stage, i) => {
+      if (stage.image !== undefined) {
+        images.push({ image: stage.image, label: `stage ${i + 1} image` });
+      }
+      addOptionImages(stage, `stage ${i + 1} `);
+    });
+  }
+  return images;
+}
+
+function validateImages(problem, file) {
+  const pid = problem.id || "(no id)";
+
+  const optionOwners = [problem, ...(problem.stages || [])];
+  optionOwners.forEach((owner, i) => {
+    if (
+      Array.isArray(owner.optionImages) &&
+      Array.isArray(owner.options) &&
+      owner.optionImages.length !== owner.options.length
+    ) {
+      const where = i === 0 ? "" : ` on stage ${i}`;
+      addIssue(
+        "error",
+        file,
+        pid,
+        "images",
+        `optionImages${where} has ${owner.optionImages.length} entries for ${owner.options.length} options`,
+      );
+    }
+  });
+
+  for (const { image, label, invalid } of collectImages(problem)) {
+    if (invalid) {
+      addIssue("error", file, pid, "images", `${label}${invalid}`);
+      continue;
+    }
+    if (!image || typeof image.src !== "string" || !image.src.trim()) {
+      addIssue("error", file, pid, "images", `${label} missing src`);
+      continue;
+    }
+    if (typeof image.alt !== "string" || !image.alt.trim()) {
+      addIssue(
+        "error",
+        file,
+        pid,
+        "images",
+        `${label} missing alt text: "${image.src}"`,
+      );
+    }
+    if (image.caption !== undefined && typeof image.caption !== "string") {
+      addIssue(
+        "warning",
+        file,
+        pid,
+        "images",
+        `${label} caption should be a string`,
+      );
+    }
+    // Paths resolve relative to content/, as in the app
+    if (
+      !REMOTE_IMAGE_PATTERN.test(image.src) &&
+      !fs.existsSync(path.join(CONTENT_DIR, image.src))
+    ) {
+      addIssue(
+        "error",
+        file,
+        pid,
+        "images",
+        `${label} file not found: content/${image.src}`,
+      );
+    }
+  }
+}
+
 // ── Suspicious Text ────────────────────────────────────────────────────────
 
 function checkSuspiciousText(problem, file) {
@@ -279,14 +1197,21 @@ function checkSuspiciousText(problem, file) {
   if (problem.question) texts.push(problem.question);
   if (problem.explanation) texts.push(problem.explanation);
   if (problem.detailedExplanation) texts.push(problem.detailedExplanation);
-  if (Array.isArray(problem.options)) texts.push(...problem.options);
+  texts.push(...optionStrings(problem.options));
   if (Array.isArray(problem.items)) texts.push(...problem.items);
+  if (Array.isArray(problem.left)) texts.push(...problem.left);
+  if (Array.isArray(problem.right)) texts.push(...problem.right);
+  if (problem.scenario) texts.push(problem.scenario);
+  if (Array.isArray(problem.hints)) {
+    texts.push(...problem.hints.filter((hint) => typeof hint === "string"));
+  }
   if (Array.isArray(problem.stages)) {
     for (const stage of problem.stages) {
+      if (stage.constraint) texts.push(stage.constraint);
       if (stage.question) texts.push(stage.question);
       if (stage.explanation) texts.push(stage.explanation);
       if (stage.detailedExplanation) texts.push(stage.detailedExplanation);
-      if (Array.isArray(stage.options)) texts.push(...stage.options);
+      texts.push(...optionStrings(stage.options));
     }
   }
 
@@ -334,14 +1259,21 @@ function checkRepeatedWords(problem, file) {
   if (problem.question) texts.push(problem.question);
   if (problem.explanation) texts.push(problem.explanation);
   if (problem.detailedExplanation) texts.push(problem.detailedExplanation);
-  if (Array.isArray(problem.options)) texts.push(...problem.options);
+  texts.push(...optionStrings(problem.options));
   if (Array.isArray(problem.items)) texts.push(...problem.items);
+  if (Array.isArray(problem.left)) texts.push(...problem.left);
+  if (Array.isArray(problem.right)) texts.push(...problem.right);
+  if (problem.scenario) texts.push(problem.scenario);
+  if (Array.isArray(problem.hints)) {
+    texts.push(...problem.hints.filter((hint) => typeof hint === "string"));
+  }
   if (Array.isArray(problem.stages)) {
     for (const stage of problem.stages) {
+      if (stage.constraint) texts.push(stage.constraint);
       if (stage.question) texts.push(stage.question);
       if (stage.explanation) texts.push(stage.explanation);
       if (stage.detailedExplanation) texts.push(stage.detailedExplanation);
-      if (Array.isArray(stage.options)) texts.push(...stage.options);
+      texts.push(...optionStrings(stage.options));
     }
   }
 
@@ -515,6 +1447,12 @@ function runChecks(chapters) {
       // ── Per-problem checks ──
       validateStructure(problem, file);
       validateReferences(problem, file);
+      validateHints(problem, file);
+      validateOptions(problem, file);
+      validateImages(problem, file);
+      validateTemplates(problem, file);
+      validateNumericUnits(problem, file);
+      validateTolerance(problem, file);
       checkSuspiciousText(problem, file);
       checkSingleCorrectMultiSelect(problem, file);
       checkRepeatedWords(problem, file);
@@ -11,11 +11,60 @@ const DEFAULT_TYPE_WEIGHTS = {
   ordering: 2,
   "multi-select": 1.5,
   "two-stage": 2,
+  "fill-in-blank": 1.5,
+  matching: 2,
+  case: 3,
+  hotspot: 1.5,
 };
 
-function shuffleArray(array) {
+// Types answered one stage at a time through selectOption()
+const STAGED_TYPES = ["two-stage", "case"];
+
+// Fill-in-blank: a run of 3+ underscores marks a gap in the question text
+const BLANK_PATTERN = /_{3,}/g;
+
+/**
+ * Turn a session seed (any number or string) into a 32-bit PRNG state.
+ * Strings are hashed with FNV-1a.
+ */
+function seedToState(seed) {
+  if (typeof seed === "number") return seed >>> 0;
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32 output for a freshly advanced state, as a float in [0, 1)
+function mulberry32(state) {
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+}
+
+/**
+ * A standalone generator drawing the same sequence a session seeded with
+ * `seed` would, for picks made before a session is loaded (e.g. the
+ * problems handed to `selectBlueprintProblems`).
+ */
+export function createSeededRandom(seed) {
+  let state = seedToState(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    return mulberry32(state);
+  };
+}
+
+// A fresh seed for sessions started without one
+function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+function shuffleArray(array, random = Math.random) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;
@@ -29,8 +78,15 @@ function shuffleArray(array) {
  * Optional problemWeights: { [problemId]: number } — per-problem
  * multiplier that biases selection within a type queue. Used by
  * spaced repetition to surface weak problems more often.
+ *
+ * `random` returns floats in [0, 1); sessions pass their seeded PRNG.
  */
-function weightedShuffle(problems, typeWeights, problemWeights = {}) {
+function weightedShuffle(
+  problems,
+  typeWeights,
+  problemWeights = {},
+  random = Math.random,
+) {
   const byType = {};
   problems.forEach((p) => {
     const type = p.type || "multiple-choice";
@@ -39,7 +95,7 @@ function weightedShuffle(problems, typeWeights, problemWeights = {}) {
   });
 
   Object.keys(byType).forEach((type) => {
-    shuffleArray(byType[type]);
+    shuffleArray(byType[type], random);
   });
 
   const result = [];
@@ -58,7 +114,7 @@ function weightedShuffle(problems, typeWeights, problemWeights = {}) {
     if (totalWeight === 0) break;
 
     // Pick a type queue weighted by typeWeights
-    let rand = Math.random() * totalWeight;
+    let rand = random() * totalWeight;
     for (const q of typeQueues) {
       if (q.items.length === 0) continue;
       rand -= q.weight;
@@ -66,7 +122,7 @@ function weightedShuffle(problems, typeWeights, problemWeights = {}) {
         // Within this type queue, pick an item weighted by problemWeights
         const itemWeights = q.items.map((item) => problemWeights[item.id] || 1);
         const itemTotalWeight = itemWeights.reduce((a, b) => a + b, 0);
-        let itemRand = Math.random() * itemTotalWeight;
+        let itemRand = random() * itemTotalWeight;
         let pickedIndex = 0;
         for (let i = 0; i < itemWeights.length; i++) {
           itemRand -= itemWeights[i];
@@ -84,21 +140,193 @@ function weightedShuffle(problems, typeWeights, problemWeights = {}) {
   return result;
 }
 
-function parseNumericInput(input) {
-  let cleaned = input.replace(/[,\s]/g, "").toLowerCase();
+const COUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+
+// Byte units: KB/MB/... are SI (powers of 1000), KiB/MiB/... binary (1024)
+const BYTE_UNITS = { b: 1, byte: 1, bytes: 1 };
+[
+  ["k", "kilo", "kibi"],
+  ["m", "mega", "mebi"],
+  ["g", "giga", "gibi"],
+  ["t", "tera", "tebi"],
+  ["p", "peta", "pebi"],
+].forEach(([prefix, si, binary], i) => {
+  for (const name of [`${prefix}b`, `${si}byte`, `${si}bytes`]) {
+    BYTE_UNITS[name] = 1000 ** (i + 1);
+  }
+  for (const name of [`${prefix}ib`, `${binary}byte`, `${binary}bytes`]) {
+    BYTE_UNITS[name] = 1024 ** (i + 1);
+  }
+});
+
+const TIME_UNITS = {};
+[
+  [1e-9, "ns", "nanosecond"],
+  [1e-6, "us", "\u00b5s", "\u03bcs", "microsecond"],
+  [1e-3, "ms", "millisecond"],
+  [1, "s", "sec", "secs", "second"],
+  [60, "m", "min", "mins", "minute"],
+  [3600, "h", "hr", "hrs", "hour"],
+  [86400, "d", "day"],
+  [604800, "w", "wk", "week"],
+  [31536000, "y", "yr", "year"],
+].forEach(([seconds, ...names]) => {
+  const fullName = names[names.length - 1];
+  for (const name of [...names, `${fullName}s`]) TIME_UNITS[name] = seconds;
+});
+
+// Rates are per second: "rps", "req/s", "queries/min", "/hour", ...
+const RATE_UNITS = { rps: 1, qps: 1, tps: 1, rpm: 1 / 60, qpm: 1 / 60 };
+for (const noun of ["", "req", "reqs", "request", "requests", "queries"]) {
+  for (const [per, seconds] of Object.entries(TIME_UNITS)) {
+    if (seconds >= 1) RATE_UNITS[`${noun}/${per}`] = 1 / seconds;
+  }
+}
+
+// Numeric-input `dimension` → unit name (lowercase, no spaces) → base units
+const UNIT_DIMENSIONS = {
+  bytes: BYTE_UNITS,
+  time: TIME_UNITS,
+  rate: RATE_UNITS,
+};
+
+// Trailing unit text on a numeric answer ("gb", "krps", "req/min")
+const UNIT_SUFFIX = /^(.*?)([a-z\u00b5\u03bc/]*)$/;
+
+// A number followed by a K/M/B/T count suffix or a percent sign ("5k", "12%")
+const NUMBER_SUFFIX_PATTERN =
+  /((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([kmbt%])(?![a-z])/g;
 
-  const suffixes = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
-  for (const [suffix, multiplier] of Object.entries(suffixes)) {
-    if (cleaned.endsWith(suffix)) {
-      return parseFloat(cleaned.slice(0, -1)) * multiplier;
+/**
+ * Parse a numeric answer: a number or a small arithmetic expression
+ * ("1e6", "10^9", "2**20", "1/3", "86400*365", "-5k", "12%"), evaluated
+ * with the template expression parser rather than eval. K/M/B/T suffixes
+ * scale the number they follow and `%` divides it by 100. A trailing copy
+ * of the problem's own `unit` is ignored ("250 ms"); without a `dimension`
+ * any other trailing unit text is skipped too, apart from a final K/M/B/T.
+ *
+ * With a `dimension`, the learner may instead end with any unit of that
+ * dimension ("2 GB", "2048 MiB", "3 hours") and the value is converted
+ * into the problem's `unit` (the dimension's base unit when `unit` isn't
+ * one of its units); without a unit the value is already in `unit`.
+ * Count suffixes still apply before a unit ("10k rps"); on a byte answer
+ * a bare prefix is a byte unit instead ("5M" is 5 MB).
+ *
+ * Throws with a learner-facing message when the input can't be read.
+ */
+function parseNumericInput(input, dimension = null, unit = "") {
+  const cleaned = input.replace(/[,\s]/g, "").toLowerCase();
+
+  const units = dimension ? UNIT_DIMENSIONS[dimension] : null;
+  if (units) {
+    const [, expression, suffix] = cleaned.match(UNIT_SUFFIX);
+    let unitName = suffix;
+    let multiplier = 1;
+    // A bare prefix on a byte answer names bytes, not a count ("5M" = 5 MB)
+    if (
+      unitName &&
+      units === BYTE_UNITS &&
+      Object.hasOwn(units, `${unitName}b`)
+    ) {
+      unitName += "b";
     }
+    if (
+      unitName &&
+      !Object.hasOwn(units, unitName) &&
+      COUNT_SUFFIXES[unitName[0]]
+    ) {
+      multiplier = COUNT_SUFFIXES[unitName[0]];
+      unitName = unitName.slice(1);
+    }
+    if (unitName && !Object.hasOwn(units, unitName)) {
+      throw new Error(`"${suffix}" is not a ${dimension} unit`);
+    }
+    const value = evaluateNumericExpression(expression, input) * multiplier;
+    if (!unitName) return value;
+    return (value * units[unitName]) / (unitFactor(units, unit) ?? 1);
+  }
+
+  const ownUnit = String(unit || "")
+    .replace(/\s/g, "")
+    .toLowerCase();
+  if (ownUnit && cleaned.length > ownUnit.length && cleaned.endsWith(ownUnit)) {
+    return evaluateNumericExpression(cleaned.slice(0, -ownUnit.length), input);
+  }
+  try {
+    return evaluateNumericExpression(cleaned, input);
+  } catch (error) {
+    // Without a dimension, other trailing unit text is skipped as it always
+    // was, with a final K/M/B/T still scaling the number ("2 GB" = 2e9)
+    const [, expression, suffix] = cleaned.match(UNIT_SUFFIX);
+    if (!expression || !suffix) throw error;
+    const multiplier = COUNT_SUFFIXES[suffix[suffix.length - 1]] ?? 1;
+    return evaluateNumericExpression(expression, input) * multiplier;
+  }
+}
+
+function evaluateNumericExpression(text, input) {
+  const expanded = text.replace(
+    NUMBER_SUFFIX_PATTERN,
+    (_, number, suffix) =>
+      `(${number}*${suffix === "%" ? 0.01 : COUNT_SUFFIXES[suffix]})`,
+  );
+  let value;
+  try {
+    value = evaluateExpression(expanded, {});
+  } catch {
+    throw new Error(`Couldn't read "${input}" as a number`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error(`"${input}" isn't a finite number`);
   }
+  return value;
+}
 
-  return parseFloat(cleaned);
+// Base-unit size of a unit name within a dimension, or null if unknown
+function unitFactor(units, unit) {
+  const key = String(unit || "")
+    .replace(/\s/g, "")
+    .toLowerCase();
+  return Object.hasOwn(units, key) ? units[key] : null;
 }
 
+/**
+ * Whether a numeric answer is within `tolerance` of `correctValue`:
+ * - `"exact"`; `"order-of-magnitude"` (within 10x either way)
+ * - a number: relative, e.g. 0.1 for within 10% (default 0.5)
+ * - `{ absolute: 5 }`: within ±5 of the answer
+ * - `{ below: 0.1, above: 0.5 }`: asymmetric relative bounds (10% under
+ *   to 50% over); a missing side allows nothing on that side
+ * - `{ log10: 0.5 }`: within half an order of magnitude, same sign
+ * - `{ range: [lo, hi] }`: anywhere in the inclusive range
+ * Relative modes scale by |correctValue|, so negative answers work; with
+ * an answer of 0 they accept only 0 (use `absolute` or `range` instead).
+ */
 function checkNumericAnswer(userValue, correctValue, tolerance) {
   if (isNaN(userValue)) return false;
+
+  if (tolerance && typeof tolerance === "object") {
+    if (tolerance.absolute !== undefined) {
+      return Math.abs(userValue - correctValue) <= tolerance.absolute;
+    }
+    if (tolerance.range !== undefined) {
+      const [low, high] = tolerance.range;
+      return userValue >= low && userValue <= high;
+    }
+    if (tolerance.log10 !== undefined) {
+      if (userValue === 0 || correctValue === 0) {
+        return userValue === correctValue;
+      }
+      if (Math.sign(userValue) !== Math.sign(correctValue)) return false;
+      const orders = Math.abs(Math.log10(userValue / correctValue));
+      return orders <= tolerance.log10;
+    }
+    const scale = Math.abs(correctValue);
+    const low = correctValue - (tolerance.below ?? 0) * scale;
+    const high = correctValue + (tolerance.above ?? 0) * scale;
+    return userValue >= low && userValue <= high;
+  }
+
   if (correctValue === 0) return userValue === 0;
 
   if (tolerance === "order-of-magnitude") {
@@ -107,15 +335,458 @@ function checkNumericAnswer(userValue, correctValue, tolerance) {
   } else if (tolerance === "exact") {
     return userValue === correctValue;
   } else if (typeof tolerance === "number") {
-    const diff = Math.abs(userValue - correctValue) / correctValue;
+    const diff = Math.abs(userValue - correctValue) / Math.abs(correctValue);
     return diff <= tolerance;
   } else {
     // Default: 50% tolerance when no tolerance is specified
-    const diff = Math.abs(userValue - correctValue) / correctValue;
+    const diff = Math.abs(userValue - correctValue) / Math.abs(correctValue);
     return diff <= 0.5;
   }
 }
 
+/**
+ * Normalize typed text before comparing fill-in-blank answers.
+ *
+ * Always trims and collapses internal whitespace runs. Options:
+ *   caseSensitive (default false) — keep letter case
+ *   ignoreWhitespace (default false) — drop all whitespace ("hash map" = "hashmap")
+ *   ignorePunctuation (default false) — drop punctuation ("e.g." = "eg")
+ */
+function normalizeTextAnswer(text, options = {}) {
+  let normalized = String(text).trim().replace(/\s+/g, " ");
+  if (!options.caseSensitive) normalized = normalized.toLowerCase();
+  if (options.ignorePunctuation) {
+    normalized = normalized
+      .replace(/[\p{P}\p{S}]/gu, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+  if (options.ignoreWhitespace) normalized = normalized.replace(/\s/g, "");
+  return normalized;
+}
+
+/**
+ * Resolve a blank definition into { answers, options }.
+ * A blank is either an array of accepted strings (shorthand) or an object
+ * { answers, caseSensitive, ignoreWhitespace, ignorePunctuation }.
+ * Blank-level options override problem-level ones.
+ */
+function resolveBlank(blank, problem) {
+  const answers = Array.isArray(blank) ? blank : blank.answers || [];
+  const source = Array.isArray(blank) ? {} : blank;
+  const options = {};
+  for (const key of [
+    "caseSensitive",
+    "ignoreWhitespace",
+    "ignorePunctuation",
+  ]) {
+    options[key] = source[key] !== undefined ? source[key] : problem[key];
+  }
+  return { answers, options };
+}
+
+function checkTextAnswer(userText, blank, problem) {
+  const { answers, options } = resolveBlank(blank, problem);
+  const normalizedUser = normalizeTextAnswer(userText, options);
+  if (normalizedUser === "") return false;
+  return answers.some(
+    (answer) => normalizeTextAnswer(answer, options) === normalizedUser,
+  );
+}
+
+const SCORING_MODES = ["all-or-nothing", "partial"];
+
+// Problem selection: "shuffle" pre-orders the session with weightedShuffle;
+// "adaptive" picks each next problem live from Elo ratings
+const SELECTION_MODES = ["shuffle", "adaptive"];
+
+// Session modes: "practice" grades each answer as it's given; "exam" holds
+// every answer back until submitExam(), with free navigation in between
+const SESSION_MODES = ["practice", "exam"];
+
+// Answer-record fields that hold what the learner entered (not grading)
+const RESPONSE_FIELDS = [
+  "selected",
+  "userValue",
+  "userAnswers",
+  "userOrder",
+  "userPairs",
+  "points",
+  "confidence",
+];
+
+/**
+ * The learner's side of an answer record, without correctness or credit,
+ * so exam mode can redisplay an answer without revealing its grade.
+ */
+function examResponse(record) {
+  if (!record) return null;
+  const response = {};
+  for (const field of RESPONSE_FIELDS) {
+    const value = record[field];
+    if (value === undefined) continue;
+    response[field] = Array.isArray(value)
+      ? value.map((v) => (Array.isArray(v) ? [...v] : v))
+      : value;
+  }
+  if (record.stageAnswers) {
+    response.stageAnswers = record.stageAnswers.map(({ stage, selected }) => ({
+      stage,
+      selected,
+    }));
+  }
+  return response;
+}
+
+// Elo ratings for adaptive selection
+const ELO_INITIAL_RATING = 1500;
+const ELO_K_FACTOR = 32;
+const ADAPTIVE_TARGET_SUCCESS = 0.7;
+const UNTAGGED_RATING_KEY = "(untagged)"; // learner rating for problems without tags
+
+// Self-rated confidence, with the success probability each level implies
+// (used for Brier scoring)
+const CONFIDENCE_PROBABILITY = { low: 0.25, medium: 0.6, high: 0.9 };
+const CONFIDENCE_LEVELS = Object.keys(CONFIDENCE_PROBABILITY);
+
+// Hints: credit lost per hint used (unless configured), and how much a
+// correct answer reached with hints counts toward proficiency
+const DEFAULT_HINT_PENALTY = 0.25;
+const HINTED_CORRECT_WEIGHT = 0.5;
+
+function roundCredit(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Ordering partial credit: the fraction of item pairs whose relative order
+ * agrees with the correct order (a Kendall-tau agreement score, 0–1).
+ * One adjacent swap in 8 items → 27/28; a fully reversed list → 0.
+ */
+function orderingCredit(userOrder, correctOrder) {
+  const n = correctOrder.length;
+  if (n < 2) return userOrder[0] === correctOrder[0] ? 1 : 0;
+  const rank = new Map(correctOrder.map((item, position) => [item, position]));
+  let concordant = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (rank.get(userOrder[i]) < rank.get(userOrder[j])) concordant++;
+    }
+  }
+  return concordant / ((n * (n - 1)) / 2);
+}
+
+/**
+ * Multi-select partial credit: (correct toggles − incorrect toggles)
+ * divided by the number of correct options, floored at 0.
+ */
+function multiSelectCredit(selected, correctIndices) {
+  if (correctIndices.length === 0) return selected.length === 0 ? 1 : 0;
+  const correctSet = new Set(correctIndices);
+  const hits = selected.filter((i) => correctSet.has(i)).length;
+  const misses = selected.length - hits;
+  return Math.max(0, (hits - misses) / correctIndices.length);
+}
+
+/**
+ * How far off a numeric estimate was: userValue / correctValue, so 2 is
+ * twice too high and 0.5 half too low. Null when there's no meaningful
+ * ratio (either value is 0, or the signs differ).
+ */
+function numericErrorRatio(userValue, correctValue) {
+  const ratio = userValue / correctValue;
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+}
+
+/**
+ * Numeric partial credit, decaying with the order-of-magnitude error:
+ * 1 − |log10(ratio)|, so off by 2x → 0.7 and off by 10x or more → 0.
+ * Answers within tolerance get full credit before this applies.
+ */
+function numericCredit(errorRatio) {
+  if (errorRatio === null) return 0;
+  return Math.max(0, 1 - Math.abs(Math.log10(errorRatio)));
+}
+
+/**
+ * Stage that follows choosing `optionIndex` in stage `stageIndex`, or -1
+ * when the problem ends. A stage's optional `next` overrides the default
+ * of moving on to the following stage: a stage index or "end", given once
+ * for every option or as an array parallel to `options` (null entries keep
+ * the default). A branch back to a stage already on `path` also ends the
+ * problem, so malformed content can't loop forever.
+ */
+function nextStageIndex(stages, stageIndex, optionIndex, path) {
+  const rule = stages[stageIndex].next;
+  const target = Array.isArray(rule) ? rule[optionIndex] : rule;
+  if (target === "end") return -1;
+  const next = Number.isInteger(target) ? target : stageIndex + 1;
+  if (next < 0 || next >= stages.length || path.includes(next)) return -1;
+  return next;
+}
+
+/**
+ * Case adaptation score: how the learner did from the first mid-case
+ * constraint change onward (that step and every step after it on the
+ * path taken). A constraint on the opening step is part of the setup,
+ * not a change. Returns null when the path never changes constraints.
+ */
+function caseAdaptation(stages, stageAnswers) {
+  const firstChange = stageAnswers.findIndex(
+    (answer, position) =>
+      position > 0 && Boolean(stages[answer.stage].constraint),
+  );
+  if (firstChange === -1) return null;
+  const adapted = stageAnswers.slice(firstChange);
+  const correct = adapted.filter((a) => a.correct).length;
+  return {
+    correct,
+    total: adapted.length,
+    percentage: Math.round((correct / adapted.length) * 100),
+  };
+}
+
+/**
+ * Hotspot hit test. Regions use image-relative coordinates (0–1 across the
+ * image's width and height): { shape: "rect", x, y, width, height },
+ * { shape: "circle", cx, cy, r } or { shape: "polygon", points: [[x, y], ...] }.
+ * Circles are measured in those relative units, so they stretch into
+ * ellipses on non-square images just as they're drawn.
+ */
+function regionContains(region, x, y) {
+  switch (region.shape) {
+    case "rect":
+      return (
+        x >= region.x &&
+        x <= region.x + region.width &&
+        y >= region.y &&
+        y <= region.y + region.height
+      );
+    case "circle":
+      return (x - region.cx) ** 2 + (y - region.cy) ** 2 <= region.r ** 2;
+    case "polygon": {
+      // Ray casting: count polygon edges crossed by a ray to the right
+      const points = region.points;
+      let inside = false;
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Hotspot partial credit: (regions hit − stray points) divided by the
+ * number of regions, floored at 0 — the multi-select rule, with stray
+ * points as the wrong picks.
+ */
+function hotspotCredit(regionsHit, strayPoints) {
+  const hits = regionsHit.filter(Boolean).length;
+  return Math.max(0, (hits - strayPoints) / regionsHit.length);
+}
+
+// Options may be written as strings or { text, feedback } objects
+const isOptionObject = (option) =>
+  option !== null && typeof option === "object";
+
+function normalizeOptionList(owner) {
+  if (!Array.isArray(owner.options) || !owner.options.some(isOptionObject)) {
+    return owner;
+  }
+  return {
+    ...owner,
+    options: owner.options.map((option) =>
+      isOptionObject(option) ? option.text : option,
+    ),
+    optionFeedback: owner.options.map((option) =>
+      isOptionObject(option) ? (option.feedback ?? null) : null,
+    ),
+  };
+}
+
+// Types whose options can be shown in a shuffled order
+const OPTION_SHUFFLE_TYPES = ["multiple-choice", "multi-select"];
+
+/**
+ * A shuffled display order for `options` (display index → original index).
+ * Options pinned with `{ text, pin: true }` keep their authored position,
+ * so "All of the above" can stay last.
+ */
+function shuffledOptionOrder(options, random = Math.random) {
+  const isPinned = (i) => isOptionObject(options[i]) && options[i].pin === true;
+  const free = shuffleArray(
+    options.map((_, i) => i).filter((i) => !isPinned(i)),
+    random,
+  );
+  let next = 0;
+  return options.map((_, i) => (isPinned(i) ? i : free[next++]));
+}
+
+/**
+ * The problem with plain-string `options` and a parallel `optionFeedback`
+ * array (null where an option has none), for the problem and each stage.
+ * Problems whose options are all strings are returned unchanged.
+ */
+function normalizeOptions(problem) {
+  const normalized = normalizeOptionList(problem);
+  if (!Array.isArray(problem.stages)) return normalized;
+  const stages = problem.stages.map(normalizeOptionList);
+  return stages.some((stage, i) => stage !== problem.stages[i])
+    ? { ...normalized, stages }
+    : normalized;
+}
+
+// Templates: {{expression}} placeholders in problem text, evaluated with
+// the problem's generated variable values
+const TEMPLATE_PATTERN = /\{\{([^{}]+)\}\}/g;
+
+const TEMPLATE_FUNCTIONS = {
+  round: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max,
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+};
+
+/**
+ * Evaluate an arithmetic expression — numbers, variable names,
+ * + - * / % ^ (or **), parentheses and TEMPLATE_FUNCTIONS — without eval.
+ * Throws on syntax errors and unknown names.
+ */
+function evaluateExpression(source, values) {
+  const tokens =
+    String(source).match(
+      /(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?|[A-Za-z_]\w*|\*\*|\S/gi,
+    ) || [];
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = (expected) => {
+    const token = tokens[position++];
+    if (expected !== undefined && token !== expected) {
+      throw new Error(`Expected "${expected}" in expression: ${source}`);
+    }
+    return token;
+  };
+
+  // expression := term (("+" | "-") term)*
+  const expression = () => {
+    let value = term();
+    while (peek() === "+" || peek() === "-") {
+      value = take() === "+" ? value + term() : value - term();
+    }
+    return value;
+  };
+  // term := unary (("*" | "/" | "%") unary)*
+  const term = () => {
+    let value = unary();
+    while (peek() === "*" || peek() === "/" || peek() === "%") {
+      const operator = take();
+      const right = unary();
+      if (operator === "*") value *= right;
+      else if (operator === "/") value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+  // unary := "-" unary | power   (so -2^2 = -4)
+  const unary = () => (peek() === "-" ? (take(), -unary()) : power());
+  // power := primary (("^" | "**") unary)?   (right-associative)
+  const power = () => {
+    const base = primary();
+    if (peek() === "^" || peek() === "**") {
+      take();
+      return base ** unary();
+    }
+    return base;
+  };
+  const primary = () => {
+    const token = take();
+    if (token === undefined) {
+      throw new Error(`Unexpected end of expression: ${source}`);
+    }
+    if (token === "(") {
+      const value = expression();
+      take(")");
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return parseFloat(token);
+    if (/^[A-Za-z_]/.test(token)) {
+      if (peek() === "(") {
+        const fn = TEMPLATE_FUNCTIONS[token];
+        if (!fn) throw new Error(`Unknown template function: ${token}`);
+        take("(");
+        const args = [expression()];
+        while (peek() === ",") {
+          take();
+          args.push(expression());
+        }
+        take(")");
+        return fn(...args);
+      }
+      if (!Object.hasOwn(values, token)) {
+        throw new Error(`Unknown template variable: ${token}`);
+      }
+      return values[token];
+    }
+    throw new Error(`Unexpected "${token}" in expression: ${source}`);
+  };
+
+  const result = expression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek()}" in expression: ${source}`);
+  }
+  return result;
+}
+
+// Plain numbers in generated text: no float noise (0.1 + 0.2 → "0.3")
+function formatTemplateValue(value) {
+  return typeof value === "number"
+    ? String(Number(value.toPrecision(12)))
+    : String(value);
+}
+
+// Replace each {{expression}} in a string. A placeholder that fails to
+// evaluate is left as written (content lint catches unknown names).
+function renderTemplateString(text, values) {
+  return text.replace(TEMPLATE_PATTERN, (placeholder, expression) => {
+    const trimmed = expression.trim();
+    // A bare variable name keeps its value as-is, so list values can be text
+    if (Object.hasOwn(values, trimmed)) {
+      return formatTemplateValue(values[trimmed]);
+    }
+    try {
+      return formatTemplateValue(evaluateExpression(trimmed, values));
+    } catch {
+      return placeholder;
+    }
+  });
+}
+
+function renderTemplateValue(value, values) {
+  if (typeof value === "string") return renderTemplateString(value, values);
+  if (Array.isArray(value)) {
+    return value.map((item) => renderTemplateValue(item, values));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        renderTemplateValue(item, values),
+      ]),
+    );
+  }
+  return value;
+}
+
 function formatNumber(num) {
   if (num < 0) return "-" + formatNumber(-num);
 
@@ -171,18 +842,29 @@ export function computeAggregateStats(sessions) {
   let totalCorrect = 0;
   let totalSkipped = 0;
   let totalTimedOut = 0;
+  let totalCredit = 0;
 
   const byType = {};
   const byTag = {};
   const byUnit = {};
   const byChapter = {};
   const problemStats = {};
+  const byConfidence = {};
+  const overconfidentByTag = {};
+  const estimationLogsByTag = {};
+  let brierSum = 0;
+  let ratedCount = 0;
 
   for (const session of sessions) {
     totalAnswered += session.score.total;
     totalCorrect += session.score.correct;
     totalSkipped += session.score.skipped || 0;
     totalTimedOut += session.score.timedOut || 0;
+    // Sessions saved before partial scoring have no credit — treat as binary
+    totalCredit +=
+      typeof session.score.credit === "number"
+        ? session.score.credit
+        : session.score.correct;
 
     // byType from breakdownByType
     if (session.breakdownByType) {
@@ -234,6 +916,31 @@ export function computeAggregateStats(sessions) {
         if (!result.correct) {
           problemStats[result.id].wrongCount++;
         }
+
+        // Estimation bias: numeric error ratios, in log space per tag
+        if (typeof result.errorRatio === "number" && result.errorRatio > 0) {
+          for (const tag of result.tags || []) {
+            if (!estimationLogsByTag[tag]) estimationLogsByTag[tag] = [];
+            estimationLogsByTag[tag].push(Math.log10(result.errorRatio));
+          }
+        }
+
+        // Calibration: only answers the learner rated
+        if (CONFIDENCE_LEVELS.includes(result.confidence)) {
+          const level = result.confidence;
+          if (!byConfidence[level])
+            byConfidence[level] = { correct: 0, total: 0 };
+          byConfidence[level].total++;
+          if (result.correct) byConfidence[level].correct++;
+          const outcome = result.correct ? 1 : 0;
+          brierSum += (CONFIDENCE_PROBABILITY[level] - outcome) ** 2;
+          ratedCount++;
+          if (level === "high" && !result.correct) {
+            for (const tag of result.tags || []) {
+              overconfidentByTag[tag] = (overconfidentByTag[tag] || 0) + 1;
+            }
+          }
+        }
       }
     }
   }
@@ -249,6 +956,7 @@ export function computeAggregateStats(sessions) {
   addPercentages(byTag);
   addPercentages(byUnit);
   addPercentages(byChapter);
+  addPercentages(byConfidence);
 
   // trend: one entry per session sorted by timestamp asc
   const trend = sessions
@@ -260,6 +968,19 @@ export function computeAggregateStats(sessions) {
     }))
     .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
+  // Median error ratio per tag: > 1 means the learner tends to overestimate
+  const estimationByTag = {};
+  for (const [tag, logs] of Object.entries(estimationLogsByTag)) {
+    logs.sort((a, b) => a - b);
+    const mid = Math.floor(logs.length / 2);
+    const medianLog =
+      logs.length % 2 ? logs[mid] : (logs[mid - 1] + logs[mid]) / 2;
+    estimationByTag[tag] = {
+      count: logs.length,
+      medianErrorRatio: Number((10 ** medianLog).toPrecision(3)),
+    };
+  }
+
   // mostMissed: top 10 by wrongCount desc
   const mostMissed = Object.values(problemStats)
     .filter((p) => p.wrongCount > 0)
@@ -282,13 +1003,252 @@ export function computeAggregateStats(sessions) {
       totalAnswered > 0 ? Math.round((totalCorrect / totalAnswered) * 100) : 0,
     totalSkipped,
     totalTimedOut,
+    totalCredit: roundCredit(totalCredit),
+    creditPercentage:
+      totalAnswered > 0 ? Math.round((totalCredit / totalAnswered) * 100) : 0,
     byType,
     byTag,
     byUnit,
     byChapter,
     trend,
     mostMissed,
+    estimationByTag,
+    calibration: {
+      rated: ratedCount,
+      byConfidence,
+      // Share of high-confidence answers that were wrong
+      overconfidenceRate: byConfidence.high
+        ? 100 - byConfidence.high.percentage
+        : 0,
+      // Mean squared gap between implied confidence and outcome (0 = perfect, lower is better)
+      brierScore: ratedCount > 0 ? roundCredit(brierSum / ratedCount) : null,
+      overconfidentTags: Object.entries(overconfidentByTag)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([tag, count]) => ({ tag, count })),
+    },
+  };
+}
+
+// Calendar day ("YYYY-MM-DD") of a date in the given IANA timezone
+// (runtime-local when omitted or unrecognized)
+function dayKey(date, timezone) {
+  const options = { year: "numeric", month: "2-digit", day: "2-digit" };
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat("en-CA", {
+      ...options,
+      timeZone: timezone,
+    });
+  } catch {
+    formatter = new Intl.DateTimeFormat("en-CA", options);
+  }
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map((part) => [part.type, part.value]),
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Step a day key by whole days (UTC arithmetic on the key itself, so no DST drift)
+function shiftDayKey(key, days) {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Compute daily practice streaks from session history.
+ *
+ * Sessions are bucketed by calendar day in `timezone`. A day counts as
+ * practiced when it meets both minimums (answered questions and sessions).
+ * The current streak stays alive through today until it ends, so a streak
+ * from yesterday still counts before today's practice.
+ *
+ * Returns { currentStreak, longestStreak, practicedToday, today, days }
+ * where days maps "YYYY-MM-DD" → { sessions, questions, correct, practiced }.
+ */
+export function computeStreaks(
+  sessions,
+  now = new Date(),
+  timezone,
+  { minQuestions = 1, minSessions = 1 } = {},
+) {
+  const days = {};
+  for (const session of sessions) {
+    const timestamp = new Date(session.timestamp);
+    if (isNaN(timestamp.getTime())) continue;
+    const key = dayKey(timestamp, timezone);
+    if (!days[key]) {
+      days[key] = { sessions: 0, questions: 0, correct: 0, practiced: false };
+    }
+    days[key].sessions++;
+    days[key].questions += session.score.total;
+    days[key].correct += session.score.correct;
+  }
+
+  const practicedKeys = [];
+  for (const [key, day] of Object.entries(days)) {
+    day.practiced =
+      day.questions >= minQuestions && day.sessions >= minSessions;
+    if (day.practiced) practicedKeys.push(key);
+  }
+  practicedKeys.sort();
+
+  let longestStreak = 0;
+  let run = 0;
+  for (let i = 0; i < practicedKeys.length; i++) {
+    const continues =
+      i > 0 && shiftDayKey(practicedKeys[i - 1], 1) === practicedKeys[i];
+    run = continues ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+  }
+
+  const today = dayKey(new Date(now), timezone);
+  const practicedToday = !!days[today]?.practiced;
+  let currentStreak = 0;
+  let cursor = practicedToday ? today : shiftDayKey(today, -1);
+  while (days[cursor]?.practiced) {
+    currentStreak++;
+    cursor = shiftDayKey(cursor, -1);
+  }
+
+  return { currentStreak, longestStreak, practicedToday, today, days };
+}
+
+// Chapter ids name their unit: "unit-N-chapter-M"
+const CHAPTER_ID_PATTERN = /^unit-(\d+)-chapter-(\d+)$/;
+
+// Blueprint entry → { kind, key } — one of `tag`, `unit` (id) or `chapter`
+// ("unit-N-chapter-M"); entries without a recognizable area are skipped
+function blueprintArea(entry) {
+  for (const kind of ["tag", "unit", "chapter"]) {
+    if (entry[kind] !== undefined) return { kind, key: entry[kind] };
+  }
+  return null;
+}
+
+/**
+ * Compare practiced share per blueprint area against its target.
+ *
+ * `blueprint` is an array of `{ tag | unit | chapter, weight, label? }`;
+ * weights are relative and normalized to target percentages. Every share
+ * counts answered results. Unit and chapter shares place each result by
+ * `problemChapters` (problem id → "unit-N-chapter-M"), so mixed sessions
+ * such as blueprint or bookmark practice count toward the chapters they
+ * drew from; results it doesn't list fall back to the session context
+ * (Practice All sessions count toward their unit only). Shares can
+ * overlap, so they need not sum to 100.
+ *
+ * Returns { totalAnswered, areas, underPracticed } where each area is
+ * { kind, key, label, answered, targetPercentage, practicedPercentage, gap }
+ * and underPracticed lists areas below target, largest gap first.
+ */
+export function computeBlueprintCoverage(
+  sessions,
+  blueprint,
+  problemChapters = {},
+) {
+  const entries = (Array.isArray(blueprint) ? blueprint : [])
+    .map((entry) => ({ ...entry, area: blueprintArea(entry) }))
+    .filter((entry) => entry.area && entry.weight > 0);
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+
+  let totalAnswered = 0;
+  const counts = new Map(); // "kind:key" → answered
+  const bump = (kind, key, n) => {
+    const id = `${kind}:${key}`;
+    counts.set(id, (counts.get(id) || 0) + n);
+  };
+
+  for (const session of sessions) {
+    totalAnswered += session.score.total;
+    const ctx = session.context || {};
+    const contextChapter =
+      ctx.unitId != null && ctx.chapterNum != null
+        ? `unit-${ctx.unitId}-chapter-${ctx.chapterNum}`
+        : null;
+    for (const result of session.results || []) {
+      if (result.skipped || result.timedOut) continue;
+      for (const tag of result.tags || []) bump("tag", tag, 1);
+      const chapterId = problemChapters[result.id] ?? contextChapter;
+      const match = CHAPTER_ID_PATTERN.exec(chapterId ?? "");
+      const unitId = match ? Number(match[1]) : ctx.unitId;
+      if (unitId != null) bump("unit", unitId, 1);
+      if (match) bump("chapter", chapterId, 1);
+    }
+  }
+
+  const areas = entries.map(({ area, weight, label }) => {
+    const answered = counts.get(`${area.kind}:${area.key}`) || 0;
+    const targetPercentage = Math.round((weight / totalWeight) * 100);
+    const practicedPercentage =
+      totalAnswered > 0 ? Math.round((answered / totalAnswered) * 100) : 0;
+    return {
+      kind: area.kind,
+      key: area.key,
+      label: label || String(area.key),
+      answered,
+      targetPercentage,
+      practicedPercentage,
+      gap: targetPercentage - practicedPercentage,
+    };
+  });
+
+  const underPracticed = areas
+    .filter((area) => area.gap > 0)
+    .sort((a, b) => b.gap - a.gap);
+
+  return { totalAnswered, areas, underPracticed };
+}
+
+/**
+ * Pick up to `size` problems that close blueprint gaps.
+ *
+ * `candidates` are `{ problem, unitId, chapterId }` so unit and chapter
+ * areas can be matched. Slots are shared across under-practiced areas in
+ * proportion to their gap; with no gaps (or no history yet) they follow
+ * the target mix instead. Remaining slots go to any blueprint area.
+ * Candidates are shuffled with `random` first, so ties vary per session.
+ */
+export function selectBlueprintProblems(
+  candidates,
+  coverage,
+  size,
+  random = Math.random,
+) {
+  const matches = (candidate, area) => {
+    if (area.kind === "tag") {
+      return (candidate.problem.tags || []).includes(area.key);
+    }
+    if (area.kind === "unit") return candidate.unitId === area.key;
+    return candidate.chapterId === area.key;
+  };
+
+  const useGaps = coverage.underPracticed.length > 0;
+  const areas = useGaps ? coverage.underPracticed : coverage.areas;
+  const shareOf = (area) => (useGaps ? area.gap : area.targetPercentage);
+  const totalShare = areas.reduce((sum, area) => sum + shareOf(area), 0);
+
+  const pool = shuffleArray([...candidates], random);
+  const picked = new Set();
+  const take = (area, count) => {
+    for (const candidate of pool) {
+      if (count <= 0 || picked.size >= size) return;
+      if (picked.has(candidate) || !matches(candidate, area)) continue;
+      picked.add(candidate);
+      count--;
+    }
   };
+
+  if (totalShare > 0) {
+    for (const area of areas) {
+      take(area, Math.round((size * shareOf(area)) / totalShare));
+    }
+  }
+  // Rounding or thin areas can leave slots — top up from any blueprint area
+  for (const area of coverage.areas) take(area, size);
+
+  return [...picked].map((candidate) => candidate.problem);
 }
 
 /**
@@ -299,12 +1259,16 @@ export function computeAggregateStats(sessions) {
  *
  * Decays toward 0.5 (uncertain) over time, so stale knowledge
  * gets pushed toward review even if historically accurate.
+ * Correct answers reached with hints count as half a correct answer.
  */
 export function computeProficiency(trackingEntry, now) {
   if (!trackingEntry || trackingEntry.seen === 0 || !trackingEntry.lastSeen) {
     return 0.5; // unknown = neutral
   }
-  const accuracy = trackingEntry.correct / trackingEntry.seen;
+  const hintedCorrect = trackingEntry.hintedCorrect ?? 0;
+  const accuracy =
+    (trackingEntry.correct - (1 - HINTED_CORRECT_WEIGHT) * hintedCorrect) /
+    trackingEntry.seen;
   // Clamp daysSince to >= 0 to guard against future timestamps (clock skew, manual import)
   const daysSince = Math.max(
     0,
@@ -350,9 +1314,11 @@ export function computeWeakestAreas(
 /**
  * Compute per-problem spaced-repetition weights for shuffle bias.
  *
- * Weight = 2 − proficiency (range 1.0–2.0).
+ * Weight = 2 − proficiency (1.0–2.0).
  * Unseen problems get 1.5 (slightly favored over mastered ones).
- * All problems keep weight ≥ 1.0, so nothing is ever excluded.
+ * A problem whose latest answer was confidently wrong gets +0.5 on top,
+ * lifting it up to 1.5–2.5 so misplaced confidence is revisited first.
+ * Weights therefore range 1.0–2.5; nothing is ever excluded.
  */
 export function computeSRWeights(problems, problemTracking, now) {
   const weights = {};
@@ -366,13 +1332,88 @@ export function computeSRWeights(problems, problemTracking, now) {
         2,
         Math.max(1, 2 - computeProficiency(entry, now)),
       );
+      if (entry.confidentlyWrong) weights[problem.id] += 0.5;
     }
   }
   return weights;
 }
 
-export function updateProblemTracking(existingTracking, sessionSummary) {
-  const tracking = {};
+// Learner ratings are per tag; a problem's learner rating is the mean over its tags
+function learnerTagsFor(problem) {
+  return problem.tags && problem.tags.length > 0
+    ? problem.tags
+    : [UNTAGGED_RATING_KEY];
+}
+
+function learnerRatingFor(problem, ratings) {
+  const tags = learnerTagsFor(problem);
+  const learner = (ratings && ratings.learner) || {};
+  const sum = tags.reduce(
+    (total, tag) => total + (learner[tag] ?? ELO_INITIAL_RATING),
+    0,
+  );
+  return sum / tags.length;
+}
+
+function problemRatingFor(problem, ratings) {
+  const problems = (ratings && ratings.problems) || {};
+  return problems[problem.id] ?? ELO_INITIAL_RATING;
+}
+
+/**
+ * Expected probability (0–1) that a learner answers a problem correctly,
+ * from the standard Elo logistic curve. Equal ratings give 0.5; a learner
+ * 400 points above the problem gives ~0.91.
+ */
+export function computeExpectedSuccess(problem, ratings) {
+  const diff =
+    problemRatingFor(problem, ratings) - learnerRatingFor(problem, ratings);
+  return 1 / (1 + Math.pow(10, diff / 400));
+}
+
+/**
+ * Update Elo ratings after one answer. Returns a new ratings object
+ * `{ learner: { [tag]: rating }, problems: { [id]: rating } }`.
+ *
+ * `score` is the answer's credit (0–1). Every tag on the problem moves by
+ * K × (score − expected); the problem's difficulty moves the opposite way.
+ * Unrated tags and problems start at 1500.
+ */
+export function updateEloRatings(ratings, problem, score) {
+  const learner = { ...(ratings && ratings.learner) };
+  const problems = { ...(ratings && ratings.problems) };
+  const expected = computeExpectedSuccess(problem, ratings);
+  const delta = ELO_K_FACTOR * (score - expected);
+
+  for (const tag of learnerTagsFor(problem)) {
+    learner[tag] = (learner[tag] ?? ELO_INITIAL_RATING) + delta;
+  }
+  problems[problem.id] = problemRatingFor(problem, ratings) - delta;
+  return { learner, problems };
+}
+
+/**
+ * Pick the candidate whose expected success is closest to `target`
+ * (default 70%). Near-ties (within 5 points of the best) are broken at
+ * random (drawn from `random`) so fresh ratings don't produce a fixed order.
+ */
+export function selectAdaptiveProblem(
+  candidates,
+  ratings,
+  target = ADAPTIVE_TARGET_SUCCESS,
+  random = Math.random,
+) {
+  if (candidates.length === 0) return null;
+  const distances = candidates.map((problem) =>
+    Math.abs(computeExpectedSuccess(problem, ratings) - target),
+  );
+  const best = Math.min(...distances);
+  const nearBest = candidates.filter((_, i) => distances[i] <= best + 0.05);
+  return nearBest[Math.floor(random() * nearBest.length)];
+}
+
+export function updateProblemTracking(existingTracking, sessionSummary) {
+  const tracking = {};
   // Copy existing entries
   if (existingTracking) {
     for (const [id, entry] of Object.entries(existingTracking)) {
@@ -388,36 +1429,172 @@ export function updateProblemTracking(existingTracking, sessionSummary) {
       }
       tracking[result.id].seen++;
       if (result.correct) tracking[result.id].correct++;
+      if (result.correct && result.hintsUsed > 0) {
+        tracking[result.id].hintedCorrect =
+          (tracking[result.id].hintedCorrect ?? 0) + 1;
+      }
       tracking[result.id].lastSeen = sessionSummary.timestamp;
+      // Latest answer only — any later answer clears the flag
+      if (result.confidence === "high" && !result.correct) {
+        tracking[result.id].confidentlyWrong = true;
+      } else {
+        delete tracking[result.id].confidentlyWrong;
+      }
     }
   }
   return tracking;
 }
 
+/**
+ * Pick fresh values for a templated problem's `variables`, in declaration
+ * order. Each variable is a list (one entry picked at random), a range
+ * { min, max, step } (step defaults to 1), or a string expression over
+ * earlier variables, e.g. "{{qps}} * 86400". Picks are drawn from `random`.
+ */
+export function generateTemplateValues(variables, random = Math.random) {
+  const values = {};
+  for (const [name, spec] of Object.entries(variables || {})) {
+    if (Array.isArray(spec)) {
+      values[name] = spec[Math.floor(random() * spec.length)];
+    } else if (typeof spec === "string") {
+      values[name] = evaluateExpression(
+        spec.replace(TEMPLATE_PATTERN, "($1)"),
+        values,
+      );
+    } else if (spec && typeof spec === "object") {
+      const { min, max, step = 1 } = spec;
+      const steps = Math.floor((max - min) / step + 1e-9);
+      const picked = min + step * Math.floor(random() * (steps + 1));
+      values[name] = Number(picked.toPrecision(12));
+    }
+  }
+  return values;
+}
+
+/**
+ * Build the instance of a templated problem for the given values: every
+ * {{expression}} in its text fields (question, options, explanation,
+ * stages, ...) is filled in, and a numeric-input `answer` written as a
+ * template is evaluated to a number. The instance keeps `id`, drops
+ * `variables` and records the `values` it was built from. Problems
+ * without `variables` are returned unchanged.
+ */
+export function instantiateTemplate(problem, values) {
+  if (!problem.variables) return problem;
+  const { variables, ...rest } = problem;
+  const instance = renderTemplateValue(rest, values);
+  instance.id = problem.id;
+  if (typeof problem.answer === "string") {
+    try {
+      instance.answer = evaluateExpression(
+        problem.answer.replace(TEMPLATE_PATTERN, "($1)"),
+        values,
+      );
+    } catch {
+      instance.answer = NaN;
+    }
+  }
+  instance.values = { ...values };
+  return instance;
+}
+
 export class OpenQuizzer {
-  // State machine: idle → practicing → answered → complete
+  // State machine: idle → practicing → answered → complete ⇄ review
   #state = "idle";
   #listeners = {};
   #typeWeights;
+  #scoring; // default scoring mode; problems may override with `scoring`
+  #selection; // "shuffle" or "adaptive"
+  #mode; // "practice" or "exam"
+  #ratings = { learner: {}, problems: {} }; // Elo state for adaptive selection
 
   // Problem data
   #problems = [];
   #allProblems = [];
   #maxProblems = 0; // 0 = unlimited
   #currentIndex = 0;
-  #answers = [];
+  #answers = []; // #answers[i] is the graded answer to #problems[i]
   #context = {};
   #problemTracking = null; // for spaced repetition across retry()
+  #bookmarks = new Set(); // flagged problem IDs; learner state, survives reset()
+
+  // Exam mode: answers held back until submitExam(), by problem index
+  #examResponses = [];
+  #examViews = []; // per-index template values and shuffles, kept for revisits
+  #flags = new Set(); // indices flagged to come back to
+
+  // Review mode: indices into #problems for missed (wrong/skipped/timed-out) answers
+  #reviewIndices = [];
+  #reviewPosition = 0;
 
   // Per-question state
   #answered = false;
   #multiSelectSelected = new Set();
   #orderingOrder = [];
-  #twoStageIndex = 0;
-  #twoStageAnswers = [];
+  #stageIndex = 0;
+  #stageAnswers = [];
+  #matchingPairs = new Map(); // leftIndex → rightIndex
+  #hotspotPoints = []; // placed [x, y] points, image-relative
+  #optionOrder = null; // MC / multi-select: display index → original index
+  #confidence = null; // "low" | "medium" | "high" once the learner rates
+  #hintsUsed = 0; // hints revealed on the current question
+  #hintPenalty = DEFAULT_HINT_PENALTY;
+  #pendingHintsUsed = null; // restored hint count applied on resume()
+  #pendingMatchingPairs = null; // restored pairings applied on resume()
+  #pendingHotspotPoints = null; // restored points applied on resume()
+  #templateValues = null; // generated values for the current templated problem
+  #pendingTemplateValues = null; // restored values applied on resume()
+  #pendingOptionOrder = null; // restored option order applied on resume()
+  #pendingPicked = false; // restored current slot already holds its adaptive pick
+  #shuffleOptions = false;
+
+  // Seeded randomness: every shuffle and random pick in a session draws
+  // from one PRNG, so the same seed and answers replay the same session
+  #seed = null; // constructor default; loadProblems() may override
+  #sessionSeed = null; // seed of the loaded session, recorded in summaries
+  #randomState = 0; // Mulberry32 state
+
+  // Session time limit: one clock for the whole session, on top of any
+  // per-question timer the UI runs
+  #sessionTimeLimit = 0; // seconds for sessions started from now on; 0 = untimed
+  #sessionLimit = 0; // limit of the loaded session, reported on ticks
+  #sessionTimeLeft = null; // seconds left on a restored session, until resume()
+  #sessionDeadline = null; // Date.now() at which the running clock hits zero
+  #sessionTimer = null;
+
+  // Next float in [0, 1) from the session's Mulberry32 PRNG; an arrow
+  // field so it can be handed to the shuffle and pick helpers directly
+  #random = () => {
+    this.#randomState = (this.#randomState + 0x6d2b79f5) >>> 0;
+    return mulberry32(this.#randomState);
+  };
 
-  constructor({ typeWeights } = {}) {
+  constructor({
+    typeWeights,
+    scoring,
+    selection,
+    shuffleOptions,
+    seed = null,
+    mode,
+    sessionTimeLimit = 0,
+    hintPenalty,
+  } = {}) {
     this.#typeWeights = { ...DEFAULT_TYPE_WEIGHTS, ...typeWeights };
+    this.#scoring = SCORING_MODES.includes(scoring)
+      ? scoring
+      : "all-or-nothing";
+    this.#mode = SESSION_MODES.includes(mode) ? mode : "practice";
+    // Adaptive picks follow graded answers, which an exam holds back
+    this.#selection =
+      SELECTION_MODES.includes(selection) && this.#mode !== "exam"
+        ? selection
+        : "shuffle";
+    this.#shuffleOptions = shuffleOptions === true;
+    if (Number.isFinite(hintPenalty) && hintPenalty >= 0 && hintPenalty <= 1) {
+      this.#hintPenalty = hintPenalty;
+    }
+    this.#seed = seed;
+    this.setSessionTimeLimit(sessionTimeLimit);
   }
 
   // --- Event system ---
@@ -463,24 +1640,61 @@ export class OpenQuizzer {
     const total = answered.length;
     const skipped = this.#answers.filter((a) => a.skipped).length;
     const timedOut = this.#answers.filter((a) => a.timedOut).length;
+    // Fractional points: equals `correct` unless partial scoring awarded part-credit
+    const credit = roundCredit(
+      answered.reduce((sum, a) => sum + (a.credit ?? (a.correct ? 1 : 0)), 0),
+    );
     return {
       correct,
       total,
       percentage: total > 0 ? Math.round((correct / total) * 100) : 0,
       skipped,
       timedOut,
+      credit,
     };
   }
 
   get problem() {
     if (this.#state === "idle" || this.#state === "complete") return null;
-    return this.#problems[this.#currentIndex];
+    if (this.#state === "review") {
+      return this.#answeredProblem(this.#reviewIndices[this.#reviewPosition]);
+    }
+    return this.#currentProblem();
   }
 
   get answers() {
     return [...this.#answers];
   }
 
+  get mode() {
+    return this.#mode;
+  }
+
+  /** Credit taken off an answer for each hint revealed. */
+  get hintPenalty() {
+    return this.#hintPenalty;
+  }
+
+  /** Exam mode: `{ answered, flagged }` for each question; null otherwise. */
+  get examStatus() {
+    if (this.#mode !== "exam") return null;
+    return this.#problems.map((_, i) => ({
+      answered: Boolean(this.#examResponses[i]),
+      flagged: this.#flags.has(i),
+    }));
+  }
+
+  get bookmarks() {
+    return [...this.#bookmarks];
+  }
+
+  get ratings() {
+    return {
+      learner: { ...this.#ratings.learner },
+      problems: { ...this.#ratings.problems },
+    };
+  }
+
   /**
    * Returns a snapshot of the current session results.
    * Safe to call at any point (idle, practicing, answered, complete).
@@ -498,12 +1712,16 @@ export class OpenQuizzer {
     return {
       timestamp: new Date().toISOString(),
       context: { ...this.#context },
+      seed: this.#sessionSeed,
+      mode: this.#mode,
+      sessionTimeLimit: this.#sessionLimit || null,
       score: {
         correct: score.correct,
         total: score.total,
         percentage: score.percentage,
         skipped: score.skipped,
         timedOut: score.timedOut,
+        credit: score.credit,
       },
       results,
       breakdownByType: this.#computeTypeBreakdown(),
@@ -513,24 +1731,36 @@ export class OpenQuizzer {
 
   // --- Lifecycle ---
 
+  /**
+   * Load a session's problems and shuffle them. `seed` (a number or
+   * string; defaults to the constructor's `seed`, else a random one)
+   * drives every shuffle and random pick in the session.
+   */
   loadProblems(
     problems,
     maxProblems = 0,
     context = {},
     problemTracking = null,
+    seed = this.#seed,
   ) {
     this.#allProblems = [...problems];
     this.#maxProblems = maxProblems;
     this.#context = { ...context };
     this.#problemTracking = problemTracking;
-
-    const srWeights = problemTracking
-      ? computeSRWeights(problems, problemTracking, new Date())
-      : {};
+    this.#seedSession(seed ?? randomSeed());
+    this.#resetExam();
+    this.#stopSessionClock();
+
+    // Adaptive mode re-picks each problem live, so the shuffle only sets length
+    const srWeights =
+      problemTracking && this.#selection === "shuffle"
+        ? computeSRWeights(problems, problemTracking, new Date())
+        : {};
     this.#problems = weightedShuffle(
       [...problems],
       this.#typeWeights,
       srWeights,
+      this.#random,
     );
     this.#applyMaxProblems();
 
@@ -544,11 +1774,24 @@ export class OpenQuizzer {
     if (this.#problems.length === 0) return;
     this.#currentIndex = 0;
     this.#answers = [];
+    this.#resetExam();
+    this.#pendingMatchingPairs = null;
+    this.#pendingHotspotPoints = null;
+    this.#pendingTemplateValues = null;
+    this.#pendingOptionOrder = null;
+    this.#pendingHintsUsed = null;
+    this.#pendingPicked = false;
     this.#setState("practicing");
     this.#emitCurrentQuestion();
+    this.#startSessionClock(this.#sessionTimeLimit);
   }
 
+  /** Practice: advance after answering. Exam: move to the next question. */
   next() {
+    if (this.#mode === "exam") {
+      this.goTo(this.#currentIndex + 1);
+      return;
+    }
     if (this.#state !== "answered") return;
     if (this.#currentIndex < this.#problems.length - 1) {
       this.#currentIndex++;
@@ -559,22 +1802,77 @@ export class OpenQuizzer {
     }
   }
 
+  /** Exam mode: move back to the previous question. */
+  previous() {
+    this.goTo(this.#currentIndex - 1);
+  }
+
+  /**
+   * Exam mode: show the question at `index`. Answers given so far stay
+   * saved and are handed back on `questionShow` as `response`.
+   */
+  goTo(index) {
+    if (this.#mode !== "exam" || this.#state !== "practicing") return;
+    if (!Number.isInteger(index) || index === this.#currentIndex) return;
+    if (index < 0 || index >= this.#problems.length) return;
+    this.#currentIndex = index;
+    this.#emitCurrentQuestion();
+  }
+
+  /** Exam mode: flag the current question to come back to, or unflag it. */
+  toggleFlag() {
+    if (this.#mode !== "exam" || this.#state !== "practicing") return;
+    const index = this.#currentIndex;
+    if (this.#flags.has(index)) {
+      this.#flags.delete(index);
+    } else {
+      this.#flags.add(index);
+    }
+    this.#emit("flagChange", { index, flagged: this.#flags.has(index) });
+  }
+
+  /**
+   * Exam mode: grade every saved answer and complete the session.
+   * Unanswered questions count as skipped.
+   */
+  submitExam() {
+    if (this.#mode !== "exam" || this.#state !== "practicing") return;
+    this.#answers = this.#problems.map(
+      (_, i) => this.#examResponses[i] ?? this.#unansweredRecord(i, "skipped"),
+    );
+    this.#complete();
+  }
+
   retry() {
-    const srWeights = this.#problemTracking
-      ? computeSRWeights(this.#allProblems, this.#problemTracking, new Date())
-      : {};
+    // A new session whose seed comes from the old one, so retries replay too
+    this.#seedSession(Math.floor(this.#random() * 2 ** 32));
+    const srWeights =
+      this.#problemTracking && this.#selection === "shuffle"
+        ? computeSRWeights(this.#allProblems, this.#problemTracking, new Date())
+        : {};
     this.#problems = weightedShuffle(
       [...this.#allProblems],
       this.#typeWeights,
       srWeights,
+      this.#random,
     );
     this.#applyMaxProblems();
 
     this.#currentIndex = 0;
     this.#answers = [];
+    this.#resetExam();
+    this.#pendingMatchingPairs = null;
+    this.#pendingHotspotPoints = null;
+    this.#pendingTemplateValues = null;
+    this.#pendingOptionOrder = null;
+    this.#pendingHintsUsed = null;
+    this.#pendingPicked = false;
+    this.#reviewIndices = [];
+    this.#reviewPosition = 0;
     this.#resetQuestionState();
     this.#setState("practicing");
     this.#emitCurrentQuestion();
+    this.#startSessionClock(this.#sessionTimeLimit);
   }
 
   reset() {
@@ -585,27 +1883,59 @@ export class OpenQuizzer {
     this.#answers = [];
     this.#context = {};
     this.#problemTracking = null;
+    this.#sessionSeed = null;
+    this.#resetExam();
+    this.#stopSessionClock();
+    this.#sessionLimit = 0;
+    this.#pendingMatchingPairs = null;
+    this.#pendingHotspotPoints = null;
+    this.#pendingTemplateValues = null;
+    this.#pendingOptionOrder = null;
+    this.#pendingHintsUsed = null;
+    this.#pendingPicked = false;
+    this.#templateValues = null;
+    this.#reviewIndices = [];
+    this.#reviewPosition = 0;
     this.#resetQuestionState();
     this.#setState("idle");
   }
 
+  /**
+   * Time limit in seconds for sessions started from now on (by `start()`
+   * or `retry()`); 0 or null makes them untimed. Defaults to the
+   * constructor's `sessionTimeLimit`; `restoreSession()` sets it to the
+   * snapshot's limit.
+   */
+  setSessionTimeLimit(seconds) {
+    this.#sessionTimeLimit =
+      Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+  }
+
   // --- Answer methods ---
 
+  /**
+   * Choose an option by its display index. Multiple-choice options may be
+   * shuffled (see `questionShow.optionOrder`); events and answer records
+   * use the original authored indices. Stage options are never shuffled.
+   */
   selectOption(index) {
     if (this.#state !== "practicing") return;
-    const problem = this.#problems[this.#currentIndex];
+    if (this.#answered) return;
+    const problem = this.#currentProblem();
     const type = problem.type || "multiple-choice";
 
-    if (type === "two-stage") {
-      this.#handleTwoStageSelect(index);
+    if (STAGED_TYPES.includes(type)) {
+      this.#handleStageSelect(index);
     } else {
       this.#handleMultipleChoiceSelect(index);
     }
   }
 
-  toggleMultiSelect(index) {
+  /** Toggle the option at a display index (see `questionShow.optionOrder`). */
+  toggleMultiSelect(displayIndex) {
     if (this.#state !== "practicing") return;
     if (this.#answered) return;
+    const index = this.#originalOptionIndex(displayIndex);
 
     if (this.#multiSelectSelected.has(index)) {
       this.#multiSelectSelected.delete(index);
@@ -617,6 +1947,10 @@ export class OpenQuizzer {
       index,
       selected: this.#multiSelectSelected.has(index),
     });
+    this.#saveExamDraft(
+      () => this.submitMultiSelect(),
+      this.#multiSelectSelected.size === 0,
+    );
   }
 
   submitMultiSelect() {
@@ -624,7 +1958,7 @@ export class OpenQuizzer {
     if (this.#answered) return;
 
     this.#answered = true;
-    const problem = this.#problems[this.#currentIndex];
+    const problem = this.#currentProblem();
     const selected = Array.from(this.#multiSelectSelected).sort();
     const correct = [...problem.correctIndices].sort();
 
@@ -632,50 +1966,94 @@ export class OpenQuizzer {
       selected.length === correct.length &&
       selected.every((v, i) => v === correct[i]);
 
-    this.#answers.push({
+    const credit = this.#creditFor(problem, isCorrect, () =>
+      multiSelectCredit(selected, correct),
+    );
+
+    this.#recordAnswer({
       problemId: problem.id,
       selected,
       correctIndices: correct,
       correct: isCorrect,
+      credit,
     });
+    if (this.#mode === "exam") return;
 
     this.#setState("answered");
     this.#emit("multiSelectResult", {
       selected,
       correctIndices: problem.correctIndices,
       correct: isCorrect,
+      credit,
+      // Feedback for each wrongly selected option that has some
+      feedback: selected
+        .filter((i) => !correct.includes(i) && problem.optionFeedback?.[i])
+        .map((i) => ({ index: i, feedback: problem.optionFeedback[i] })),
       explanation: problem.explanation,
       detailedExplanation: problem.detailedExplanation,
       references: problem.references,
     });
   }
 
+  /**
+   * Grade a numeric answer. For problems with a `dimension`, the learner's
+   * unit is converted first: `userValue` (recorded and emitted) is in the
+   * problem's unit, and `numericResult` echoes the raw `input` too.
+   * Input that can't be read emits `numericParseError` instead and leaves
+   * the question open for another try. Results carry the `errorRatio`
+   * (userValue / answer); under partial scoring, misses earn credit that
+   * decays out to 10x off.
+   */
   submitNumeric(rawString) {
     if (this.#state !== "practicing") return;
     if (this.#answered) return;
     if (!rawString || !rawString.trim()) return;
 
+    const problem = this.#currentProblem();
+    let userValue;
+    try {
+      userValue = parseNumericInput(
+        rawString.trim(),
+        problem.dimension,
+        problem.unit,
+      );
+    } catch (error) {
+      this.#emit("numericParseError", {
+        input: rawString.trim(),
+        message: error.message,
+      });
+      return;
+    }
+
     this.#answered = true;
-    const problem = this.#problems[this.#currentIndex];
-    const userValue = parseNumericInput(rawString.trim());
     const isCorrect = checkNumericAnswer(
       userValue,
       problem.answer,
       problem.tolerance,
     );
+    const errorRatio = numericErrorRatio(userValue, problem.answer);
+    const credit = this.#creditFor(problem, isCorrect, () =>
+      numericCredit(errorRatio),
+    );
 
-    this.#answers.push({
+    this.#recordAnswer({
       problemId: problem.id,
       userValue,
       correctValue: problem.answer,
+      errorRatio,
       correct: isCorrect,
+      credit,
     });
+    if (this.#mode === "exam") return;
 
     this.#setState("answered");
     this.#emit("numericResult", {
+      input: rawString.trim(),
       userValue,
       correctValue: problem.answer,
+      errorRatio,
       correct: isCorrect,
+      credit,
       formatted: formatNumber(problem.answer),
       unit: problem.unit || "",
       explanation: problem.explanation,
@@ -684,6 +2062,50 @@ export class OpenQuizzer {
     });
   }
 
+  /**
+   * Grade a fill-in-blank answer. Accepts one string per blank, or a
+   * single string when the problem has exactly one blank.
+   */
+  submitText(values) {
+    if (this.#state !== "practicing") return;
+    if (this.#answered) return;
+
+    const problem = this.#currentProblem();
+    const userAnswers = (Array.isArray(values) ? values : [values]).map((v) =>
+      typeof v === "string" ? v.trim() : "",
+    );
+    if (userAnswers.every((v) => v === "")) return;
+
+    this.#answered = true;
+    const blankResults = problem.blanks.map((blank, i) =>
+      checkTextAnswer(userAnswers[i] || "", blank, problem),
+    );
+    const isCorrect = blankResults.every(Boolean);
+    const correctAnswers = problem.blanks.map(
+      (blank) => resolveBlank(blank, problem).answers[0],
+    );
+
+    this.#recordAnswer({
+      problemId: problem.id,
+      userAnswers: [...userAnswers],
+      blankResults: [...blankResults],
+      correct: isCorrect,
+      credit: this.#creditFor(problem, isCorrect, () => 0),
+    });
+    if (this.#mode === "exam") return;
+
+    this.#setState("answered");
+    this.#emit("textResult", {
+      userAnswers,
+      blankResults,
+      correctAnswers,
+      correct: isCorrect,
+      explanation: problem.explanation,
+      detailedExplanation: problem.detailedExplanation,
+      references: problem.references,
+    });
+  }
+
   moveOrderingItem(fromIndex, toIndex) {
     if (this.#state !== "practicing") return;
     if (this.#answered) return;
@@ -704,6 +2126,85 @@ export class OpenQuizzer {
     this.#emit("orderingUpdate", {
       order: [...this.#orderingOrder],
     });
+    this.#saveExamDraft(() => this.#gradeOrdering(), false);
+  }
+
+  /**
+   * Pair a left-column item with a right-column item (matching type).
+   * Pairings are one-to-one: re-pairing either side replaces its old pair.
+   */
+  pairMatch(leftIndex, rightIndex) {
+    if (this.#state !== "practicing") return;
+    if (this.#answered) return;
+    const problem = this.#currentProblem();
+    if (
+      leftIndex < 0 ||
+      leftIndex >= problem.left.length ||
+      rightIndex < 0 ||
+      rightIndex >= problem.right.length
+    ) {
+      return;
+    }
+
+    for (const [left, right] of this.#matchingPairs) {
+      if (right === rightIndex) this.#matchingPairs.delete(left);
+    }
+    this.#matchingPairs.set(leftIndex, rightIndex);
+
+    this.#emit("matchingUpdate", { pairs: this.#currentMatchingPairs() });
+    this.#saveExamDraft(() => this.submitMatching(), false);
+  }
+
+  unpairMatch(leftIndex) {
+    if (this.#state !== "practicing") return;
+    if (this.#answered) return;
+    if (!this.#matchingPairs.has(leftIndex)) return;
+
+    this.#matchingPairs.delete(leftIndex);
+    this.#emit("matchingUpdate", { pairs: this.#currentMatchingPairs() });
+    this.#saveExamDraft(
+      () => this.submitMatching(),
+      this.#matchingPairs.size === 0,
+    );
+  }
+
+  submitMatching() {
+    if (this.#state !== "practicing") return;
+    if (this.#answered) return;
+
+    this.#answered = true;
+    const problem = this.#currentProblem();
+    const userPairs = this.#currentMatchingPairs();
+    const expected = new Map(
+      problem.pairs.map(([left, right]) => [left, right]),
+    );
+
+    // One result per left item; unpaired items count as wrong
+    const pairResults = problem.left.map(
+      (_, left) =>
+        this.#matchingPairs.has(left) &&
+        this.#matchingPairs.get(left) === expected.get(left),
+    );
+    const isCorrect = pairResults.every(Boolean);
+
+    this.#recordAnswer({
+      problemId: problem.id,
+      userPairs: userPairs.map((pair) => [...pair]),
+      correct: isCorrect,
+      credit: this.#creditFor(problem, isCorrect, () => 0),
+    });
+    if (this.#mode === "exam") return;
+
+    this.#setState("answered");
+    this.#emit("matchingResult", {
+      userPairs,
+      correctPairs: problem.pairs.map((pair) => [...pair]),
+      pairResults,
+      correct: isCorrect,
+      explanation: problem.explanation,
+      detailedExplanation: problem.detailedExplanation,
+      references: problem.references,
+    });
   }
 
   submitOrdering() {
@@ -712,14 +2213,94 @@ export class OpenQuizzer {
     this.#gradeOrdering();
   }
 
+  /**
+   * Place a point on a hotspot image (x, y from 0 to 1 across its width
+   * and height). One point per region: once every region has a point,
+   * placing another replaces the oldest.
+   */
+  placeHotspot(x, y) {
+    if (this.#state !== "practicing") return;
+    if (this.#answered) return;
+    if (![x, y].every((v) => Number.isFinite(v) && v >= 0 && v <= 1)) return;
+    const problem = this.#currentProblem();
+
+    this.#hotspotPoints.push([x, y]);
+    if (this.#hotspotPoints.length > problem.regions.length) {
+      this.#hotspotPoints.shift();
+    }
+    this.#emit("hotspotUpdate", { points: this.#currentHotspotPoints() });
+    this.#saveExamDraft(() => this.submitHotspot(), false);
+  }
+
+  removeHotspot(pointIndex) {
+    if (this.#state !== "practicing") return;
+    if (this.#answered) return;
+    if (pointIndex < 0 || pointIndex >= this.#hotspotPoints.length) return;
+
+    this.#hotspotPoints.splice(pointIndex, 1);
+    this.#emit("hotspotUpdate", { points: this.#currentHotspotPoints() });
+    this.#saveExamDraft(
+      () => this.submitHotspot(),
+      this.#hotspotPoints.length === 0,
+    );
+  }
+
+  submitHotspot() {
+    if (this.#state !== "practicing") return;
+    if (this.#answered) return;
+    if (this.#hotspotPoints.length === 0) return;
+
+    this.#answered = true;
+    const problem = this.#currentProblem();
+    const points = this.#currentHotspotPoints();
+
+    // Each point counts toward the first region containing it (-1 = stray)
+    const pointRegions = points.map(([x, y]) =>
+      problem.regions.findIndex((region) => regionContains(region, x, y)),
+    );
+    const regionsHit = problem.regions.map((_, i) => pointRegions.includes(i));
+    const strayPoints = pointRegions.filter((i) => i === -1).length;
+    const isCorrect = regionsHit.every(Boolean) && strayPoints === 0;
+
+    const credit = this.#creditFor(problem, isCorrect, () =>
+      hotspotCredit(regionsHit, strayPoints),
+    );
+
+    this.#recordAnswer({
+      problemId: problem.id,
+      points: points.map((point) => [...point]),
+      pointRegions,
+      correct: isCorrect,
+      credit,
+    });
+    if (this.#mode === "exam") return;
+
+    this.#setState("answered");
+    this.#emit("hotspotResult", {
+      points,
+      pointRegions,
+      regionsHit,
+      regions: problem.regions,
+      correct: isCorrect,
+      credit,
+      explanation: problem.explanation,
+      detailedExplanation: problem.detailedExplanation,
+      references: problem.references,
+    });
+  }
+
   skip() {
     if (this.#state !== "practicing") return;
-    const problem = this.#problems[this.#currentIndex];
-    this.#answers.push({
+    // Exams have no skipping: unanswered questions count as skipped
+    if (this.#mode === "exam") return;
+    const problem = this.#currentProblem();
+    this.#answers[this.#currentIndex] = {
       problemId: problem.id,
       skipped: true,
       correct: false,
-    });
+      credit: 0,
+      ...(this.#templateValues && { values: { ...this.#templateValues } }),
+    };
     this.#emit("skip", {
       problemId: problem.id,
       index: this.#currentIndex,
@@ -733,6 +2314,131 @@ export class OpenQuizzer {
     }
   }
 
+  /**
+   * Reveal the current problem's next hint, in authored order. Each hint
+   * used takes `hintPenalty` off the answer's credit. Exams have no hints.
+   */
+  requestHint() {
+    if (this.#state !== "practicing" || this.#answered) return;
+    if (this.#mode === "exam") return;
+    const { hints } = this.#currentProblem();
+    if (!Array.isArray(hints) || this.#hintsUsed >= hints.length) return;
+    const index = this.#hintsUsed++;
+    this.#emit("hintShown", {
+      index,
+      hint: hints[index],
+      hintsUsed: this.#hintsUsed,
+      remaining: hints.length - this.#hintsUsed,
+      penalty: roundCredit(this.#hintsUsed * this.#hintPenalty),
+    });
+  }
+
+  /**
+   * Rate confidence in the current answer ("low", "medium" or "high"),
+   * before or while answering; `null` clears it. Recorded on the answer.
+   */
+  setConfidence(level) {
+    if (this.#state !== "practicing") return;
+    if (this.#answered) return;
+    if (level !== null && !CONFIDENCE_LEVELS.includes(level)) return;
+    this.#confidence = level;
+    // A saved exam answer takes the new rating too
+    const saved = this.#examResponses[this.#currentIndex];
+    if (saved && level) {
+      saved.confidence = level;
+    } else if (saved) {
+      delete saved.confidence;
+    }
+    this.#emit("confidenceChange", { confidence: level });
+  }
+
+  // --- Review mode ---
+
+  /**
+   * Walk back through the problems answered wrong, skipped or timed out.
+   * Only available after `complete`; does nothing when nothing was missed.
+   */
+  startReview() {
+    if (this.#state !== "complete") return;
+    const missed = [];
+    for (const [i, answer] of this.#answers.entries()) {
+      if (!answer.correct) missed.push(i);
+    }
+    if (missed.length === 0) return;
+
+    this.#reviewIndices = missed;
+    this.#reviewPosition = 0;
+    this.#setState("review");
+    this.#emitCurrentReview();
+  }
+
+  nextReview() {
+    if (this.#state !== "review") return;
+    if (this.#reviewPosition < this.#reviewIndices.length - 1) {
+      this.#reviewPosition++;
+      this.#emitCurrentReview();
+    } else {
+      this.endReview();
+    }
+  }
+
+  /** Leave review mode early (or at the end) and return to `complete`. */
+  endReview() {
+    if (this.#state !== "review") return;
+    const reviewed = this.#reviewPosition + 1;
+    const total = this.#reviewIndices.length;
+    this.#reviewIndices = [];
+    this.#reviewPosition = 0;
+    this.#setState("complete");
+    this.#emit("reviewComplete", { reviewed, total });
+  }
+
+  // --- Adaptive ratings ---
+
+  /** Replace Elo ratings, e.g. with ratings restored from storage. */
+  setRatings(ratings) {
+    if (!ratings || typeof ratings !== "object") return;
+    this.#ratings = {
+      learner: { ...ratings.learner },
+      problems: { ...ratings.problems },
+    };
+  }
+
+  // --- Bookmarks ---
+
+  /** Replace all bookmarks, e.g. with IDs restored from storage. */
+  setBookmarks(problemIds) {
+    if (!Array.isArray(problemIds)) return;
+    this.#bookmarks = new Set(
+      problemIds.filter((id) => typeof id === "string" && id !== ""),
+    );
+  }
+
+  isBookmarked(problemId) {
+    return this.#bookmarks.has(problemId);
+  }
+
+  /** Flag a problem for later practice. Allowed in any state. */
+  bookmark(problemId) {
+    if (typeof problemId !== "string" || problemId === "") return;
+    if (this.#bookmarks.has(problemId)) return;
+    this.#bookmarks.add(problemId);
+    this.#emitBookmarkChange(problemId, true);
+  }
+
+  unbookmark(problemId) {
+    if (!this.#bookmarks.delete(problemId)) return;
+    this.#emitBookmarkChange(problemId, false);
+  }
+
+  #emitBookmarkChange(problemId, bookmarked) {
+    this.#emit("bookmarkChange", {
+      problemId,
+      bookmarked,
+      bookmarks: [...this.#bookmarks],
+    });
+  }
+
   // --- Snapshot / Resume ---
 
   getSnapshot() {
@@ -742,6 +2448,48 @@ export class OpenQuizzer {
       answers: this.#answers.map((a) => ({ ...a })),
       context: { ...this.#context },
       maxProblems: this.#maxProblems,
+      seed: this.#sessionSeed,
+      // PRNG position, so the rest of a resumed session matches the original
+      randomState: this.#randomState,
+      // In-progress pairings on the current matching question
+      matchingPairs: this.#currentMatchingPairs(),
+      // In-progress points on the current hotspot question
+      hotspotPoints: this.#currentHotspotPoints(),
+      // Generated values for the current templated question, while unanswered
+      templateValues:
+        this.#templateValues && this.#answers.length === this.#currentIndex
+          ? { ...this.#templateValues }
+          : null,
+      // Shuffled option order for the current question, while unanswered
+      optionOrder:
+        this.#optionOrder && this.#answers.length === this.#currentIndex
+          ? [...this.#optionOrder]
+          : null,
+      // The current question is on screen, so adaptive mode already picked it
+      currentPicked:
+        this.#state === "practicing" &&
+        this.#answers.length === this.#currentIndex,
+      // Hints revealed on the current question, while unanswered
+      hintsUsed:
+        this.#answers.length === this.#currentIndex ? this.#hintsUsed : 0,
+      // Exam mode: position, saved answers, per-question views and flags
+      exam:
+        this.#mode === "exam"
+          ? {
+              currentIndex: this.#currentIndex,
+              responses: Array.from(this.#examResponses, (r) =>
+                r ? { ...r } : null,
+              ),
+              views: Array.from(this.#examViews, (v) => (v ? { ...v } : null)),
+              flags: [...this.#flags],
+            }
+          : null,
+      // Session clock: the limit and the seconds left on it
+      sessionTimeLimit: this.#sessionLimit,
+      sessionTimeLeft:
+        this.#sessionDeadline !== null
+          ? Math.max(0, (this.#sessionDeadline - Date.now()) / 1000)
+          : this.#sessionTimeLeft,
     };
   }
 
@@ -751,8 +2499,51 @@ export class OpenQuizzer {
     this.#answers = snapshot.answers.map((a) => ({ ...a }));
     this.#context = { ...snapshot.context };
     this.#maxProblems = snapshot.maxProblems;
-    this.#currentIndex = this.#answers.length;
+    if (Number.isInteger(snapshot.randomState)) {
+      this.#sessionSeed = snapshot.seed ?? null;
+      this.#randomState = snapshot.randomState >>> 0;
+    } else {
+      this.#seedSession(snapshot.seed ?? randomSeed());
+    }
+    this.#resetExam();
+    // The clock stays paused until resume(), so time away doesn't count
+    this.#stopSessionClock();
+    this.#sessionLimit = snapshot.sessionTimeLimit || 0;
+    // retry() restarts with the limit the session was started with
+    this.#sessionTimeLimit = this.#sessionLimit;
+    this.#sessionTimeLeft = snapshot.sessionTimeLeft ?? null;
+    const exam = this.#mode === "exam" ? snapshot.exam : null;
+    if (exam) {
+      exam.responses.forEach((r, i) => {
+        if (r) this.#examResponses[i] = { ...r };
+      });
+      exam.views.forEach((v, i) => {
+        if (v) this.#examViews[i] = { ...v };
+      });
+      this.#flags = new Set(exam.flags);
+    }
+    // A submitted exam has every answer, so it resumes as complete
+    this.#currentIndex =
+      exam && this.#answers.length === 0
+        ? exam.currentIndex
+        : this.#answers.length;
     this.#resetQuestionState();
+    this.#pendingMatchingPairs = Array.isArray(snapshot.matchingPairs)
+      ? snapshot.matchingPairs.map((pair) => [...pair])
+      : null;
+    this.#pendingHotspotPoints = Array.isArray(snapshot.hotspotPoints)
+      ? snapshot.hotspotPoints.map((point) => [...point])
+      : null;
+    this.#pendingTemplateValues = snapshot.templateValues
+      ? { ...snapshot.templateValues }
+      : null;
+    this.#pendingOptionOrder = Array.isArray(snapshot.optionOrder)
+      ? [...snapshot.optionOrder]
+      : null;
+    this.#pendingHintsUsed = Number.isInteger(snapshot.hintsUsed)
+      ? snapshot.hintsUsed
+      : null;
+    this.#pendingPicked = snapshot.currentPicked === true;
     this.#setState("idle");
   }
 
@@ -767,16 +2558,42 @@ export class OpenQuizzer {
     }
     this.#setState("practicing");
     this.#emitCurrentQuestion();
+    this.#startSessionClock(
+      this.#sessionLimit,
+      this.#sessionTimeLeft ?? this.#sessionLimit,
+    );
+
+    const pending = this.#pendingMatchingPairs;
+    this.#pendingMatchingPairs = null;
+    const problem = this.#currentProblem();
+    if (pending && pending.length > 0 && problem.type === "matching") {
+      this.#matchingPairs = new Map(pending);
+      this.#emit("matchingUpdate", { pairs: this.#currentMatchingPairs() });
+    }
+
+    const pendingPoints = this.#pendingHotspotPoints;
+    this.#pendingHotspotPoints = null;
+    if (
+      pendingPoints &&
+      pendingPoints.length > 0 &&
+      problem.type === "hotspot"
+    ) {
+      this.#hotspotPoints = pendingPoints.slice(-problem.regions.length);
+      this.#emit("hotspotUpdate", { points: this.#currentHotspotPoints() });
+    }
   }
 
   timeout() {
     if (this.#state !== "practicing") return;
-    const problem = this.#problems[this.#currentIndex];
-    this.#answers.push({
+    if (this.#mode === "exam") return;
+    const problem = this.#currentProblem();
+    this.#answers[this.#currentIndex] = {
       problemId: problem.id,
       timedOut: true,
       correct: false,
-    });
+      credit: 0,
+      ...(this.#templateValues && { values: { ...this.#templateValues } }),
+    };
     this.#emit("timeout", {
       problemId: problem.id,
       index: this.#currentIndex,
@@ -792,6 +2609,137 @@ export class OpenQuizzer {
 
   // --- Private helpers ---
 
+  /**
+   * Credit (0–1) for an answer. Partial scoring — set per problem via
+   * `scoring: "partial"` or on the constructor — uses the type's
+   * part-credit function; otherwise credit mirrors `correct`. Each hint
+   * used then takes `hintPenalty` off, down to 0.
+   */
+  #creditFor(problem, isCorrect, computePartial) {
+    const mode = SCORING_MODES.includes(problem.scoring)
+      ? problem.scoring
+      : this.#scoring;
+    const credit = isCorrect ? 1 : mode === "partial" ? computePartial() : 0;
+    return roundCredit(
+      Math.max(0, credit - this.#hintsUsed * this.#hintPenalty),
+    );
+  }
+
+  #resetExam() {
+    this.#examResponses = [];
+    this.#examViews = [];
+    this.#flags = new Set();
+  }
+
+  // Exam mode: multi-select, ordering, matching and hotspot answers are
+  // saved as they change, so moving to another question keeps them
+  #saveExamDraft(save, isEmpty) {
+    if (this.#mode !== "exam") return;
+    if (!isEmpty) {
+      save();
+    } else if (this.#examResponses[this.#currentIndex]) {
+      delete this.#examResponses[this.#currentIndex];
+      this.#emitExamAnswer();
+    }
+  }
+
+  #emitExamAnswer() {
+    const index = this.#currentIndex;
+    this.#emit("examAnswer", {
+      index,
+      problemId: this.#problems[index].id,
+      response: examResponse(this.#examResponses[index]),
+      answered: this.#examResponses.filter(Boolean).length,
+      total: this.#problems.length,
+    });
+  }
+
+  // Record for a problem left unanswered; templated problems keep the
+  // values shown, or get fresh ones if never shown, to review against
+  #unansweredRecord(index, reason) {
+    const problem = this.#problems[index];
+    const values =
+      (index === this.#currentIndex ? this.#templateValues : null) ??
+      this.#examViews[index]?.templateValues ??
+      (problem.variables &&
+        generateTemplateValues(problem.variables, this.#random));
+    return {
+      problemId: problem.id,
+      [reason]: true,
+      correct: false,
+      credit: 0,
+      ...(values && { values: { ...values } }),
+    };
+  }
+
+  // Run the session clock for `left` of `limit` seconds, ticking each
+  // second. Remaining time is measured against a deadline, so late or
+  // throttled ticks don't stretch the session.
+  #startSessionClock(limit, left = limit) {
+    this.#stopSessionClock();
+    this.#sessionLimit = limit;
+    this.#sessionTimeLeft = null;
+    if (!limit) return;
+    this.#sessionDeadline = Date.now() + left * 1000;
+    this.#sessionTimer = setInterval(() => this.#tickSession(), 1000);
+    this.#tickSession();
+  }
+
+  #stopSessionClock() {
+    if (this.#sessionTimer !== null) clearInterval(this.#sessionTimer);
+    this.#sessionTimer = null;
+    this.#sessionDeadline = null;
+  }
+
+  #tickSession() {
+    const remaining = Math.max(
+      0,
+      Math.ceil((this.#sessionDeadline - Date.now()) / 1000),
+    );
+    this.#emit("sessionTick", { remaining, limit: this.#sessionLimit });
+    // A listener may have ended the session already
+    if (remaining === 0 && this.#sessionTimer !== null) this.#expireSession();
+  }
+
+  // Time's up: every problem still unanswered counts as timed out. Saved
+  // exam answers are graded as if submitted.
+  #expireSession() {
+    this.#stopSessionClock();
+    // Adaptive picks happen live, so the problems not reached yet are
+    // placeholders that may repeat ones already served
+    if (this.#selection === "adaptive") {
+      const next = this.#currentIndex + 1;
+      const served = new Set(this.#problems.slice(0, next).map((p) => p.id));
+      const unserved = this.#allProblems.filter((p) => !served.has(p.id));
+      this.#problems.splice(
+        next,
+        Infinity,
+        ...unserved.slice(0, this.#problems.length - next),
+      );
+    }
+    const exam = this.#mode === "exam";
+    let timedOut = 0;
+    for (
+      let i = exam ? 0 : this.#answers.length;
+      i < this.#problems.length;
+      i++
+    ) {
+      if (exam && this.#examResponses[i]) {
+        this.#answers[i] = this.#examResponses[i];
+      } else {
+        this.#answers[i] = this.#unansweredRecord(i, "timedOut");
+        timedOut++;
+      }
+    }
+    this.#emit("sessionTimeout", { timedOut, total: this.#problems.length });
+    this.#complete();
+  }
+
+  #seedSession(seed) {
+    this.#sessionSeed = seed;
+    this.#randomState = seedToState(seed);
+  }
+
   #applyMaxProblems() {
     if (this.#maxProblems > 0 && this.#problems.length > this.#maxProblems) {
       this.#problems = this.#problems.slice(0, this.#maxProblems);
@@ -802,141 +2750,414 @@ export class OpenQuizzer {
     this.#answered = false;
     this.#multiSelectSelected = new Set();
     this.#orderingOrder = [];
-    this.#twoStageIndex = 0;
-    this.#twoStageAnswers = [];
+    this.#stageIndex = 0;
+    this.#stageAnswers = [];
+    this.#matchingPairs = new Map();
+    this.#hotspotPoints = [];
+    this.#optionOrder = null;
+    this.#confidence = null;
+    this.#hintsUsed = 0;
+  }
+
+  // Authored index of the option shown at `displayIndex`
+  #originalOptionIndex(displayIndex) {
+    return this.#optionOrder?.[displayIndex] ?? displayIndex;
+  }
+
+  // Current pairings as [left, right] tuples, sorted by left index
+  #currentMatchingPairs() {
+    return [...this.#matchingPairs.entries()].sort((a, b) => a[0] - b[0]);
+  }
+
+  // The problem on screen; templated problems resolve to this showing's instance
+  #currentProblem() {
+    const problem = this.#problems[this.#currentIndex];
+    return normalizeOptions(
+      this.#templateValues
+        ? instantiateTemplate(problem, this.#templateValues)
+        : problem,
+    );
+  }
+
+  // An answered problem as the learner saw it, rebuilt from the answer's values
+  #answeredProblem(index) {
+    const problem = this.#problems[index];
+    const values = this.#answers[index]?.values;
+    return normalizeOptions(
+      values ? instantiateTemplate(problem, values) : problem,
+    );
+  }
+
+  // Current hotspot points as fresh [x, y] tuples, in placement order
+  #currentHotspotPoints() {
+    return this.#hotspotPoints.map((point) => [...point]);
+  }
+
+  /**
+   * Adaptive mode: choose the problem for the current slot from everything
+   * not yet served, so each pick sees ratings updated by earlier answers.
+   */
+  #pickAdaptiveProblem() {
+    const served = new Set(
+      this.#problems.slice(0, this.#currentIndex).map((p) => p.id),
+    );
+    const candidates = this.#allProblems.filter((p) => !served.has(p.id));
+    const picked = selectAdaptiveProblem(
+      candidates,
+      this.#ratings,
+      ADAPTIVE_TARGET_SUCCESS,
+      this.#random,
+    );
+    if (picked) this.#problems[this.#currentIndex] = picked;
+  }
+
+  /**
+   * Record a graded answer; adaptive mode also updates Elo ratings. Exam
+   * mode saves it (replacing any earlier answer) without revealing the
+   * grade: callers return before their result event, and the question
+   * stays open to change — staged problems restart on the next visit.
+   */
+  #recordAnswer(record) {
+    if (this.#templateValues) record.values = { ...this.#templateValues };
+    if (this.#confidence) record.confidence = this.#confidence;
+    if (this.#hintsUsed > 0) record.hintsUsed = this.#hintsUsed;
+    if (this.#mode === "exam") {
+      this.#examResponses[this.#currentIndex] = record;
+      this.#answered = STAGED_TYPES.includes(this.#currentProblem().type);
+      this.#emitExamAnswer();
+      return;
+    }
+    this.#answers[this.#currentIndex] = record;
+    if (this.#selection !== "adaptive") return;
+
+    const problem = this.#currentProblem();
+    const expected = computeExpectedSuccess(problem, this.#ratings);
+    this.#ratings = updateEloRatings(this.#ratings, problem, record.credit);
+    this.#emit("ratingUpdate", {
+      problemId: problem.id,
+      expected,
+      score: record.credit,
+      ratings: this.ratings,
+    });
   }
 
   #emitCurrentQuestion() {
+    // A resumed question keeps the problem picked before the snapshot
+    const picked = this.#pendingPicked;
+    this.#pendingPicked = false;
+    if (this.#selection === "adaptive" && !picked) this.#pickAdaptiveProblem();
     this.#resetQuestionState();
-    const problem = this.#problems[this.#currentIndex];
+
+    // Templated problems get fresh values on every showing — except on
+    // resume, which reuses the values the learner was already looking at,
+    // and exam revisits, which reuse everything random from the first showing
+    const index = this.#currentIndex;
+    const view = this.#examViews[index];
+    const saved = this.#examResponses[index];
+    const template = this.#problems[index];
+    const pendingValues = this.#pendingTemplateValues;
+    this.#pendingTemplateValues = null;
+    this.#templateValues = template.variables
+      ? (view?.templateValues ??
+        pendingValues ??
+        generateTemplateValues(template.variables, this.#random))
+      : null;
+    this.#hintsUsed = this.#pendingHintsUsed ?? 0;
+    this.#pendingHintsUsed = null;
+    const problem = this.#currentProblem();
     const type = problem.type || "multiple-choice";
 
+    // MC / multi-select: options in display order (display → original
+    // index); the learner answers with display indices, records keep originals
+    const pendingOrder = this.#pendingOptionOrder;
+    this.#pendingOptionOrder = null;
+    let optionOrder;
+    if (OPTION_SHUFFLE_TYPES.includes(type)) {
+      const shuffle =
+        typeof problem.shuffleOptions === "boolean"
+          ? problem.shuffleOptions
+          : this.#shuffleOptions;
+      if (view?.optionOrder) {
+        this.#optionOrder = [...view.optionOrder];
+      } else if (pendingOrder?.length === problem.options.length) {
+        this.#optionOrder = pendingOrder;
+      } else {
+        this.#optionOrder = shuffle
+          ? shuffledOptionOrder(template.options, this.#random)
+          : problem.options.map((_, i) => i);
+      }
+      optionOrder = [...this.#optionOrder];
+    }
+
+    // Ordering: a saved exam answer is shown in the learner's order
+    let itemOrder;
     let shuffledItems;
     if (type === "ordering") {
-      const shuffledIndices = [...Array(problem.items.length).keys()];
-      shuffleArray(shuffledIndices);
-      this.#orderingOrder = [...shuffledIndices];
-      shuffledItems = shuffledIndices.map((i) => ({
+      itemOrder = view?.itemOrder
+        ? [...view.itemOrder]
+        : shuffleArray([...Array(problem.items.length).keys()], this.#random);
+      this.#orderingOrder = [...(saved?.userOrder ?? itemOrder)];
+      shuffledItems = this.#orderingOrder.map((i) => ({
         originalIndex: i,
         text: problem.items[i],
       }));
     }
 
+    // Matching: right column shuffled for display, pairs use original indices
+    let rightOrder;
+    let shuffledRight;
+    if (type === "matching") {
+      rightOrder = view?.rightOrder
+        ? [...view.rightOrder]
+        : shuffleArray([...Array(problem.right.length).keys()], this.#random);
+      shuffledRight = rightOrder.map((i) => ({
+        originalIndex: i,
+        text: problem.right[i],
+      }));
+    }
+
+    // Fill-in-blank: question text split around each blank (n blanks → n+1 segments)
+    let textSegments;
+    if (type === "fill-in-blank") {
+      textSegments = problem.question.split(BLANK_PATTERN);
+    }
+
+    if (this.#mode === "exam" && !view) {
+      this.#examViews[index] = {
+        templateValues: this.#templateValues,
+        optionOrder: this.#optionOrder && [...this.#optionOrder],
+        itemOrder,
+        rightOrder,
+      };
+    }
+    if (saved) {
+      this.#confidence = saved.confidence ?? null;
+      if (type === "multi-select") {
+        this.#multiSelectSelected = new Set(saved.selected);
+      }
+      if (type === "matching") this.#matchingPairs = new Map(saved.userPairs);
+      if (type === "hotspot") {
+        this.#hotspotPoints = saved.points.map((point) => [...point]);
+      }
+    }
+
     this.#emit("questionShow", {
       problem,
-      index: this.#currentIndex,
+      index,
       total: this.#problems.length,
       type,
       shuffledItems,
+      textSegments,
+      shuffledRight,
+      optionOrder,
+      // Hints already revealed, on a resumed question
+      hintsUsed: this.#hintsUsed,
+      // Exam mode: the saved answer to redisplay (null if none) and flag
+      ...(this.#mode === "exam" && {
+        response: examResponse(saved),
+        flagged: this.#flags.has(index),
+      }),
+    });
+
+    if (saved && type === "matching") {
+      this.#emit("matchingUpdate", { pairs: this.#currentMatchingPairs() });
+    }
+    if (saved && type === "hotspot") {
+      this.#emit("hotspotUpdate", { points: this.#currentHotspotPoints() });
+    }
+  }
+
+  #emitCurrentReview() {
+    const problemIndex = this.#reviewIndices[this.#reviewPosition];
+    const problem = this.#answeredProblem(problemIndex);
+    const answer = this.#answers[problemIndex];
+    const type = problem.type || "multiple-choice";
+    const lastStage = problem.stages?.[problem.stages.length - 1];
+
+    this.#emit("reviewShow", {
+      problem,
+      type,
+      index: this.#reviewPosition,
+      total: this.#reviewIndices.length,
+      // Normalized user/correct answers, plus skipped/timedOut flags
+      result: this.#buildSummaryResult(problem, answer),
+      explanation:
+        problem.explanation ??
+        problem.stages?.map((stage) => stage.explanation).join(" "),
+      detailedExplanation:
+        problem.detailedExplanation ?? lastStage?.detailedExplanation,
+      references: problem.references ?? lastStage?.references,
     });
   }
 
-  #handleMultipleChoiceSelect(index) {
+  #handleMultipleChoiceSelect(displayIndex) {
     if (this.#answered) return;
     this.#answered = true;
+    const index = this.#originalOptionIndex(displayIndex);
 
-    const problem = this.#problems[this.#currentIndex];
+    const problem = this.#currentProblem();
     const isCorrect = index === problem.correct;
 
-    this.#answers.push({
+    this.#recordAnswer({
       problemId: problem.id,
       selected: index,
       correct: isCorrect,
+      credit: this.#creditFor(problem, isCorrect, () => 0),
     });
+    if (this.#mode === "exam") return;
 
     this.#setState("answered");
     this.#emit("optionSelected", {
       index,
       correct: isCorrect,
       correctIndex: problem.correct,
+      // Why the chosen distractor is wrong, when the content says
+      feedback: isCorrect ? null : (problem.optionFeedback?.[index] ?? null),
       explanation: problem.explanation,
       detailedExplanation: problem.detailedExplanation,
       references: problem.references,
     });
   }
 
-  #handleTwoStageSelect(index) {
-    const problem = this.#problems[this.#currentIndex];
-    const stageIndex = this.#twoStageIndex;
+  // Two-stage and case problems: grade each stage as it's answered and
+  // follow any branch to the next one; the problem is recorded once the
+  // path reaches its end
+  #handleStageSelect(index) {
+    const problem = this.#currentProblem();
+    const isCase = problem.type === "case";
+    const stageIndex = this.#stageIndex;
     const stage = problem.stages[stageIndex];
     const isCorrect = index === stage.correct;
+    const feedback = isCorrect ? null : (stage.optionFeedback?.[index] ?? null);
 
-    this.#twoStageAnswers.push({ selected: index, correct: isCorrect });
+    this.#stageAnswers.push({
+      stage: stageIndex,
+      selected: index,
+      correct: isCorrect,
+    });
+    const path = this.#stageAnswers.map((a) => a.stage);
+    const nextIndex = nextStageIndex(problem.stages, stageIndex, index, path);
 
-    if (stageIndex < problem.stages.length - 1) {
+    if (nextIndex !== -1) {
       // Advance to next stage — emit result for this stage but stay in 'practicing'
-      this.#twoStageIndex = stageIndex + 1;
-      const nextStage = problem.stages[stageIndex + 1];
+      this.#stageIndex = nextIndex;
+      const nextStage = problem.stages[nextIndex];
 
-      this.#emit("twoStageAdvance", {
+      const payload = {
         stageIndex,
         totalStages: problem.stages.length,
-        stageResult: {
-          index,
-          correct: isCorrect,
-          correctIndex: stage.correct,
-        },
+        path,
+        // Exams only say which option was taken
+        stageResult:
+          this.#mode === "exam"
+            ? { index }
+            : {
+                index,
+                correct: isCorrect,
+                correctIndex: stage.correct,
+                feedback,
+              },
         nextStage: {
-          stageIndex: stageIndex + 1,
+          stageIndex: nextIndex,
+          step: path.length, // 0-based position on the path taken
           question: nextStage.question,
           options: nextStage.options,
           previousAnswer: stage.options[index],
+          // Case: the new constraint (if any) and every step answered so far
+          ...(isCase && {
+            constraint: nextStage.constraint,
+            context: this.#stageAnswers.map((answer) => ({
+              question: problem.stages[answer.stage].question,
+              answer: problem.stages[answer.stage].options[answer.selected],
+              constraint: problem.stages[answer.stage].constraint,
+            })),
+          }),
         },
-      });
+      };
+      this.#emit("stageAdvance", payload);
+      this.#emit("twoStageAdvance", payload); // deprecated alias of stageAdvance
     } else {
-      // Final stage — grade the overall problem (correct only if ALL stages correct)
+      // Final stage — grade the overall problem (correct only if every stage on the path is correct)
       this.#answered = true;
-      const allCorrect = this.#twoStageAnswers.every((a) => a.correct);
-
-      this.#answers.push({
+      const allCorrect = this.#stageAnswers.every((a) => a.correct);
+      const stepResults = this.#stageAnswers.map((a) => a.correct);
+      const record = {
         problemId: problem.id,
-        stageAnswers: [...this.#twoStageAnswers],
+        stageAnswers: [...this.#stageAnswers],
         correct: allCorrect,
-      });
+        credit: this.#creditFor(problem, allCorrect, () => 0),
+      };
+      if (isCase) {
+        // Partial credit: the fraction of steps answered correctly
+        record.credit = this.#creditFor(
+          problem,
+          allCorrect,
+          () => stepResults.filter(Boolean).length / stepResults.length,
+        );
+        record.adaptation = caseAdaptation(problem.stages, this.#stageAnswers);
+      }
+
+      this.#recordAnswer(record);
+      if (this.#mode === "exam") return;
 
       this.#setState("answered");
       this.#emit("optionSelected", {
         index,
         correct: isCorrect,
         correctIndex: stage.correct,
+        feedback,
         explanation: stage.explanation,
         detailedExplanation: stage.detailedExplanation,
         // Stage-level references take priority; fall back to problem-level
         references: stage.references || problem.references,
         isFinalStage: true,
         allCorrect,
+        path,
+        ...(isCase && {
+          credit: record.credit,
+          stepResults,
+          adaptation: record.adaptation,
+        }),
       });
     }
   }
 
   #gradeOrdering() {
     this.#answered = true;
-    const problem = this.#problems[this.#currentIndex];
+    const problem = this.#currentProblem();
 
     const isCorrect = this.#orderingOrder.every(
       (originalIndex, position) =>
         problem.correctOrder[position] === originalIndex,
     );
 
-    this.#answers.push({
+    const credit = this.#creditFor(problem, isCorrect, () =>
+      orderingCredit(this.#orderingOrder, problem.correctOrder),
+    );
+
+    this.#recordAnswer({
       problemId: problem.id,
       userOrder: [...this.#orderingOrder],
       correct: isCorrect,
+      credit,
     });
+    if (this.#mode === "exam") return;
 
     this.#setState("answered");
     this.#emit("orderingResult", {
       userOrder: [...this.#orderingOrder],
       correctOrder: problem.correctOrder,
       correct: isCorrect,
+      credit,
       explanation: problem.explanation,
       detailedExplanation: problem.detailedExplanation,
       references: problem.references,
     });
   }
 
-  // Invariant: #answers[i] always corresponds to #problems[i] because
-  // questions are answered/skipped sequentially (no random access).
+  // Invariant: #answers[i] always corresponds to #problems[i]. Practice
+  // records each answer at its index as it's given; exams fill every index
+  // at once in submitExam().
   #computeTypeBreakdown() {
     const breakdown = {};
     for (const [i, answer] of this.#answers.entries()) {
@@ -972,6 +3193,7 @@ export class OpenQuizzer {
   }
 
   #complete() {
+    this.#stopSessionClock();
     const finalScore = this.score;
     const sessionSummary = this.getSessionSummary();
     this.#setState("complete");
@@ -985,11 +3207,16 @@ export class OpenQuizzer {
   }
 
   #buildSummaryResult(problem, answer) {
+    // Templated problems are graded and reviewed as the instance shown
+    if (problem && answer.values) {
+      problem = instantiateTemplate(problem, answer.values);
+    }
     if (!problem) {
       return {
         id: answer.problemId,
         type: "unknown",
         correct: answer.correct,
+        credit: answer.credit ?? (answer.correct ? 1 : 0),
         tags: [],
         userAnswer: null,
         correctAnswer: null,
@@ -1000,10 +3227,13 @@ export class OpenQuizzer {
     const base = {
       id: answer.problemId,
       type,
-      question: problem.question || "",
+      question: problem.question || problem.scenario || "",
       correct: answer.correct,
+      credit: answer.credit ?? (answer.correct ? 1 : 0),
       tags: problem.tags || [],
     };
+    if (answer.confidence) base.confidence = answer.confidence;
+    if (answer.hintsUsed) base.hintsUsed = answer.hintsUsed;
 
     if (answer.skipped) {
       return { ...base, skipped: true, userAnswer: null, correctAnswer: null };
@@ -1025,6 +3255,7 @@ export class OpenQuizzer {
           ...base,
           userAnswer: answer.userValue,
           correctAnswer: problem.answer,
+          errorRatio: answer.errorRatio ?? null,
         };
       case "ordering": // user's index sequence vs correct sequence
         return {
@@ -1038,14 +3269,42 @@ export class OpenQuizzer {
           userAnswer: [...answer.selected],
           correctAnswer: [...problem.correctIndices],
         };
-      case "two-stage": // per-stage selected/correct pairs
+      case "fill-in-blank": // typed text per blank vs accepted answers per blank
+        return {
+          ...base,
+          userAnswer: [...answer.userAnswers],
+          correctAnswer: problem.blanks.map((blank) => [
+            ...resolveBlank(blank, problem).answers,
+          ]),
+        };
+      case "matching": // user [left, right] pairs vs correct pairs
+        return {
+          ...base,
+          userAnswer: answer.userPairs.map((pair) => [...pair]),
+          correctAnswer: problem.pairs.map((pair) => [...pair]),
+        };
+      case "two-stage": // per-step stage/selected/correct along the path taken
+      case "case": // same, plus the adaptation score
         return {
           ...base,
           userAnswer: answer.stageAnswers.map((stageAnswer) => ({
+            stage: stageAnswer.stage,
             selected: stageAnswer.selected,
             correct: stageAnswer.correct,
           })),
           correctAnswer: problem.stages.map((stage) => stage.correct),
+          path: answer.stageAnswers.map((stageAnswer) => stageAnswer.stage),
+          ...(type === "case" && { adaptation: answer.adaptation }),
+        };
+      case "hotspot": // placed points with the region each hit (-1 = stray) vs regions
+        return {
+          ...base,
+          userAnswer: answer.points.map(([x, y], i) => ({
+            x,
+            y,
+            region: answer.pointRegions[i],
+          })),
+          correctAnswer: problem.regions.map((region) => ({ ...region })),
         };
       default: // unknown type fallback
         return {
@@ -9,6 +9,15 @@ import {
   computeProficiency,
   computeWeakestAreas,
   computeSRWeights,
+  computeStreaks,
+  computeBlueprintCoverage,
+  selectBlueprintProblems,
+  createSeededRandom,
+  computeExpectedSuccess,
+  updateEloRatings,
+  selectAdaptiveProblem,
+  generateTemplateValues,
+  instantiateTemplate,
 } from "./openquizzer.js";
 import { CONFIG } from "./config.js";
 
@@ -89,6 +98,119 @@ function twoStageProblem(id) {
   };
 }
 
+// Three stages: a wrong first answer branches to a remediation stage (2)
+// before the follow-up (1); the follow-up ends the problem
+function branchingProblem(id) {
+  const stage = (question, next) => ({
+    question,
+    options: [`${question} right`, `${question} wrong`],
+    correct: 0,
+    explanation: `${question} exp`,
+    next,
+  });
+  return {
+    id,
+    type: "two-stage",
+    stages: [
+      stage("Main", [1, 2]),
+      stage("Follow-up", "end"),
+      stage("Remediation", 1),
+    ],
+  };
+}
+
+function caseProblem(id, extra = {}) {
+  const step = (n, constraint) => ({
+    ...(constraint && { constraint }),
+    question: `Step ${n}`,
+    options: [`A${n}`, `B${n}`],
+    correct: 0,
+    explanation: `Step ${n} exp`,
+  });
+  return {
+    id,
+    type: "case",
+    scenario: "Design a URL shortener",
+    stages: [
+      step(1),
+      step(2),
+      step(3, "Traffic spikes 10x"),
+      step(4),
+      step(5, "Data must stay in the EU"),
+    ],
+    ...extra,
+  };
+}
+
+function fillBlankProblem(id, blanks = [["Paris"]], extra = {}) {
+  return {
+    id,
+    type: "fill-in-blank",
+    question: blanks.map((_, i) => `Part ${i + 1} is ___.`).join(" "),
+    blanks,
+    explanation: `Explanation for ${id}`,
+    ...extra,
+  };
+}
+
+function matchingProblem(id) {
+  return {
+    id,
+    type: "matching",
+    question: `Match ${id}`,
+    left: ["L0", "L1", "L2"],
+    right: ["R0", "R1", "R2", "R3"],
+    pairs: [
+      [0, 1],
+      [1, 2],
+      [2, 0],
+    ],
+    explanation: `Explanation for ${id}`,
+  };
+}
+
+// Two required regions by default: a rectangle (left) and a circle (right)
+function hotspotProblem(id, regions) {
+  return {
+    id,
+    type: "hotspot",
+    question: `Hotspot ${id}`,
+    image: { src: "images/diagram.png", alt: "Diagram" },
+    regions: regions || [
+      { shape: "rect", x: 0.1, y: 0.1, width: 0.2, height: 0.3, label: "LB" },
+      { shape: "circle", cx: 0.7, cy: 0.5, r: 0.1, label: "DB" },
+    ],
+    explanation: `Explanation for ${id}`,
+  };
+}
+
+function templatedProblem(id, variables) {
+  return {
+    id,
+    type: "numeric-input",
+    variables: variables || {
+      qps: { min: 1000, max: 5000, step: 1000 },
+      payloadKB: [1, 2, 4],
+    },
+    question: "{{qps}} requests/s at {{payloadKB}} KB each. KB/s?",
+    answer: "{{qps}} * {{payloadKB}}",
+    tolerance: 0.1,
+    explanation: "{{qps}} × {{payloadKB}} = {{qps * payloadKB}} KB/s",
+  };
+}
+
+/** Run fn with Math.random returning the given values in turn. */
+function withRandom(sequence, fn) {
+  const original = Math.random;
+  let i = 0;
+  Math.random = () => sequence[i++ % sequence.length];
+  try {
+    return fn();
+  } finally {
+    Math.random = original;
+  }
+}
+
 /** Collect all emissions of a given event. */
 function collectEvents(quiz, event) {
   const events = [];
@@ -178,6 +300,7 @@ describe("state machine", () => {
       percentage: 0,
       skipped: 0,
       timedOut: 0,
+      credit: 0,
     });
   });
 });
@@ -279,6 +402,18 @@ describe("numeric input", () => {
     assert.equal(events[0].formatted, "1K");
   });
 
+  it("accepts a trailing decimal point", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([numericProblem("n1", { answer: 5, tolerance: 0.01 })]);
+    quiz.start();
+    const events = collectEvents(quiz, "numericResult");
+    const errors = collectEvents(quiz, "numericParseError");
+    quiz.submitNumeric("5.");
+    assert.equal(errors.length, 0);
+    assert.equal(events[0].userValue, 5);
+    assert.equal(events[0].correct, true);
+  });
+
   it("parses K suffix", () => {
     const quiz = new OpenQuizzer();
     quiz.loadProblems([
@@ -346,15 +481,24 @@ describe("numeric input", () => {
     assert.equal(events[0].correct, true);
   });
 
-  it("NaN input is incorrect", () => {
+  it("malformed input emits numericParseError instead of grading", () => {
     const quiz = new OpenQuizzer();
     quiz.loadProblems([
       numericProblem("n1", { answer: 100, tolerance: "exact" }),
     ]);
     quiz.start();
-    const events = collectEvents(quiz, "numericResult");
+    const results = collectEvents(quiz, "numericResult");
+    const errors = collectEvents(quiz, "numericParseError");
     quiz.submitNumeric("abc");
-    assert.equal(events[0].correct, false);
+    assert.equal(results.length, 0);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].input, "abc");
+    assert.match(errors[0].message, /abc/);
+    assert.equal(quiz.state, "practicing");
+    assert.equal(quiz.answers.length, 0);
+
+    quiz.submitNumeric("100");
+    assert.equal(results[0].correct, true);
   });
 
   it("correctValue of 0 does not divide by zero", () => {
@@ -376,6 +520,364 @@ describe("numeric input", () => {
   });
 });
 
+describe("numeric tolerance modes", () => {
+  function grade(input, answer, tolerance) {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([numericProblem("n1", { answer, tolerance })]);
+    quiz.start();
+    const events = collectEvents(quiz, "numericResult");
+    quiz.submitNumeric(input);
+    return events[0].correct;
+  }
+
+  it("relative tolerance works for negative answers", () => {
+    assert.equal(grade("-95", -100, 0.1), true);
+    assert.equal(grade("-120", -100, 0.1), false);
+    assert.equal(grade("95", -100, 0.1), false);
+  });
+
+  it("default tolerance works for negative answers", () => {
+    const quiz = new OpenQuizzer();
+    const p = numericProblem("n1", { answer: -100 });
+    delete p.tolerance;
+    quiz.loadProblems([p]);
+    quiz.start();
+    const events = collectEvents(quiz, "numericResult");
+    quiz.submitNumeric("-140");
+    assert.equal(events[0].correct, true);
+  });
+
+  it("absolute tolerance", () => {
+    const tolerance = { absolute: 5 };
+    assert.equal(grade("104", 100, tolerance), true);
+    assert.equal(grade("95", 100, tolerance), true);
+    assert.equal(grade("106", 100, tolerance), false);
+  });
+
+  it("absolute tolerance handles an answer of 0", () => {
+    const tolerance = { absolute: 0.5 };
+    assert.equal(grade("0.3", 0, tolerance), true);
+    assert.equal(grade("-0.5", 0, tolerance), true);
+    assert.equal(grade("0.6", 0, tolerance), false);
+  });
+
+  it("asymmetric tolerance", () => {
+    const tolerance = { below: 0.1, above: 0.5 };
+    assert.equal(grade("900", 1000, tolerance), true);
+    assert.equal(grade("1500", 1000, tolerance), true);
+    assert.equal(grade("899", 1000, tolerance), false);
+    assert.equal(grade("1501", 1000, tolerance), false);
+  });
+
+  it("asymmetric tolerance with one side allows nothing on the other", () => {
+    const tolerance = { above: 1 };
+    assert.equal(grade("1000", 1000, tolerance), true);
+    assert.equal(grade("2000", 1000, tolerance), true);
+    assert.equal(grade("999", 1000, tolerance), false);
+  });
+
+  it("asymmetric tolerance keeps below/above meaning for negative answers", () => {
+    const tolerance = { below: 0.1, above: 0.5 };
+    assert.equal(grade("-110", -100, tolerance), true);
+    assert.equal(grade("-50", -100, tolerance), true);
+    assert.equal(grade("-111", -100, tolerance), false);
+  });
+
+  it("log10 tolerance", () => {
+    const tolerance = { log10: 0.5 };
+    assert.equal(grade("3000", 1000, tolerance), true);
+    assert.equal(grade("320", 1000, tolerance), true);
+    assert.equal(grade("4000", 1000, tolerance), false);
+    assert.equal(grade("300", 1000, tolerance), false);
+  });
+
+  it("log10 tolerance requires the same sign and handles 0", () => {
+    const tolerance = { log10: 1 };
+    assert.equal(grade("-1000", 1000, tolerance), false);
+    assert.equal(grade("-2000", -1000, tolerance), true);
+    assert.equal(grade("0", 1000, tolerance), false);
+    assert.equal(grade("0", 0, tolerance), true);
+  });
+
+  it("range tolerance", () => {
+    const tolerance = { range: [100, 200] };
+    assert.equal(grade("100", 150, tolerance), true);
+    assert.equal(grade("200", 150, tolerance), true);
+    assert.equal(grade("99", 150, tolerance), false);
+    assert.equal(grade("-5", 0, { range: [-10, 10] }), true);
+  });
+
+  it("order-of-magnitude tolerance works for negative answers", () => {
+    assert.equal(grade("-5000", -1000, "order-of-magnitude"), true);
+    assert.equal(grade("5000", -1000, "order-of-magnitude"), false);
+  });
+});
+
+describe("graded numeric scoring", () => {
+  function grade(input, { scoring = "partial", answer = 1000 } = {}) {
+    const quiz = new OpenQuizzer({ scoring });
+    quiz.loadProblems([numericProblem("n1", { answer, tolerance: 0.1 })]);
+    quiz.start();
+    const events = collectEvents(quiz, "numericResult");
+    quiz.submitNumeric(input);
+    return { quiz, result: events[0] };
+  }
+
+  it("reports the error ratio", () => {
+    assert.equal(grade("2000").result.errorRatio, 2);
+    assert.equal(grade("250").result.errorRatio, 0.25);
+    assert.equal(grade("1000").result.errorRatio, 1);
+  });
+
+  it("error ratio is null when there is no meaningful ratio", () => {
+    assert.equal(grade("-1000").result.errorRatio, null);
+    assert.equal(grade("0").result.errorRatio, null);
+    assert.equal(grade("5", { answer: 0 }).result.errorRatio, null);
+  });
+
+  it("full credit within tolerance", () => {
+    const { result } = grade("1050");
+    assert.equal(result.correct, true);
+    assert.equal(result.credit, 1);
+  });
+
+  it("credit decays with order-of-magnitude error out to 10x", () => {
+    assert.equal(grade("2000").result.credit, 0.699);
+    assert.equal(grade("500").result.credit, 0.699);
+    assert.equal(grade("5000").result.credit, 0.301);
+    assert.equal(grade("10000").result.credit, 0);
+    assert.equal(grade("1000000").result.credit, 0);
+    assert.equal(grade("-1000").result.credit, 0);
+  });
+
+  it("off-by-2x and off-by-1000x stay incorrect but score differently", () => {
+    const near = grade("2000").result;
+    const far = grade("1000000").result;
+    assert.equal(near.correct, false);
+    assert.equal(far.correct, false);
+    assert.ok(near.credit > far.credit);
+  });
+
+  it("all-or-nothing scoring gives no credit for misses", () => {
+    const { result } = grade("2000", { scoring: "all-or-nothing" });
+    assert.equal(result.credit, 0);
+    assert.equal(result.errorRatio, 2);
+  });
+
+  it("records the ratio and credit in answers and summary results", () => {
+    const { quiz } = grade("2000");
+    assert.equal(quiz.answers[0].errorRatio, 2);
+    assert.equal(quiz.answers[0].credit, 0.699);
+    quiz.next();
+    const [result] = quiz.getSessionSummary().results;
+    assert.equal(result.errorRatio, 2);
+    assert.equal(result.credit, 0.699);
+  });
+});
+
+describe("unit-aware numeric input", () => {
+  function submitWithUnit(input, { answer, unit, dimension, tolerance = 0.1 }) {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      { ...numericProblem("n1", { answer, unit, tolerance }), dimension },
+    ]);
+    quiz.start();
+    const events = collectEvents(quiz, "numericResult");
+    quiz.submitNumeric(input);
+    return { quiz, result: events[0] };
+  }
+
+  const twoGB = { answer: 2, unit: "GB", dimension: "bytes" };
+
+  it("accepts the problem's own unit", () => {
+    const { result } = submitWithUnit("2 GB", twoGB);
+    assert.equal(result.correct, true);
+    assert.equal(result.userValue, 2);
+  });
+
+  it("a bare number is read in the problem's unit", () => {
+    const { result } = submitWithUnit("2", twoGB);
+    assert.equal(result.userValue, 2);
+    assert.equal(result.correct, true);
+  });
+
+  it("converts binary prefixes into the problem's unit", () => {
+    const { result } = submitWithUnit("2048 MiB", twoGB);
+    assert.equal(result.userValue, 2.147483648);
+    assert.equal(result.correct, true);
+    assert.equal(result.input, "2048 MiB");
+  });
+
+  it("distinguishes SI and binary prefixes", () => {
+    const { result } = submitWithUnit("2 KiB", {
+      answer: 2000,
+      unit: "bytes",
+      dimension: "bytes",
+      tolerance: "exact",
+    });
+    assert.equal(result.userValue, 2048);
+    assert.equal(result.correct, false);
+  });
+
+  it('"2GB" is 2 gigabytes, not 2 billion', () => {
+    const { result } = submitWithUnit("2GB", {
+      answer: 2e9,
+      unit: "bytes",
+      dimension: "bytes",
+    });
+    assert.equal(result.userValue, 2e9);
+    assert.equal(result.correct, true);
+  });
+
+  it("converts time units", () => {
+    const dimension = "time";
+    assert.equal(
+      submitWithUnit("3 hours", { answer: 10800, unit: "seconds", dimension })
+        .result.userValue,
+      10800,
+    );
+    assert.equal(
+      submitWithUnit("90 min", { answer: 1.5, unit: "h", dimension }).result
+        .correct,
+      true,
+    );
+    assert.equal(
+      submitWithUnit("250ms", { answer: 0.25, unit: "s", dimension }).result
+        .userValue,
+      0.25,
+    );
+  });
+
+  it("converts rates and applies count suffixes before a unit", () => {
+    const dimension = "rate";
+    const perSecond = { answer: 10000, unit: "requests/sec", dimension };
+    assert.equal(submitWithUnit("10k rps", perSecond).result.userValue, 10000);
+    assert.equal(
+      submitWithUnit("600K req/min", perSecond).result.userValue,
+      10000,
+    );
+    assert.equal(submitWithUnit("10k", perSecond).result.userValue, 10000);
+  });
+
+  it("reads a bare prefix on a byte answer as a byte unit", () => {
+    assert.equal(submitWithUnit("5M", twoGB).result.userValue, 0.005);
+    assert.equal(submitWithUnit("2G", twoGB).result.userValue, 2);
+    assert.equal(submitWithUnit("1.5k MB", twoGB).result.userValue, 1.5);
+  });
+
+  it("uses the dimension's base unit when unit is not one of its units", () => {
+    const { result } = submitWithUnit("1 KB", {
+      answer: 1000,
+      unit: "",
+      dimension: "bytes",
+      tolerance: "exact",
+    });
+    assert.equal(result.userValue, 1000);
+    assert.equal(result.correct, true);
+  });
+
+  it("rejects units from another dimension or unknown units", () => {
+    assert.equal(submitWithUnit("3 hours", twoGB).result, undefined);
+    assert.equal(submitWithUnit("2 parsecs", twoGB).result, undefined);
+  });
+
+  it("records and summarizes the converted value", () => {
+    const { quiz } = submitWithUnit("2048 MiB", twoGB);
+    assert.equal(quiz.answers[0].userValue, 2.147483648);
+    quiz.next();
+    const summary = quiz.getSessionSummary();
+    assert.equal(summary.results[0].userAnswer, 2.147483648);
+  });
+
+  it("problems without a dimension keep K/M/B/T parsing", () => {
+    const { result } = submitWithUnit("2K", { answer: 2000, unit: "GB" });
+    assert.equal(result.userValue, 2000);
+  });
+
+  it("problems without a dimension still accept other unit text", () => {
+    const bytes = { answer: 2e9, unit: "bytes" };
+    assert.equal(submitWithUnit("2 GB", bytes).result.userValue, 2e9);
+    assert.equal(submitWithUnit("3 hours", bytes).result.userValue, 3);
+    assert.equal(submitWithUnit("2^10 items", bytes).result.userValue, 1024);
+    assert.equal(submitWithUnit("abc", bytes).result, undefined);
+  });
+});
+
+describe("numeric input expressions", () => {
+  function parse(input, { unit = "ms", dimension } = {}) {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([{ ...numericProblem("n1", { unit }), dimension }]);
+    quiz.start();
+    const results = collectEvents(quiz, "numericResult");
+    const errors = collectEvents(quiz, "numericParseError");
+    quiz.submitNumeric(input);
+    return results.length > 0
+      ? results[0].userValue
+      : { error: errors[0].message };
+  }
+
+  it("scientific notation", () => {
+    assert.equal(parse("1e6"), 1e6);
+    assert.equal(parse("2.5E-3"), 0.0025);
+  });
+
+  it("a trailing or leading decimal point", () => {
+    assert.equal(parse("5."), 5);
+    assert.equal(parse(".5"), 0.5);
+    assert.equal(parse("5.k"), 5000);
+    assert.equal(parse("5. * 2"), 10);
+  });
+
+  it("powers with ^ and **", () => {
+    assert.equal(parse("10^9"), 1e9);
+    assert.equal(parse("2**20"), 1048576);
+    assert.equal(parse("2^3^2"), 512);
+  });
+
+  it("fractions and percentages", () => {
+    assert.equal(parse("1/4"), 0.25);
+    assert.equal(parse("12%"), 0.12);
+    assert.equal(parse("50% * 200"), 100);
+  });
+
+  it("negative numbers with suffixes", () => {
+    assert.equal(parse("-5k"), -5000);
+    assert.equal(parse("-1.5M"), -1.5e6);
+  });
+
+  it("arithmetic with precedence and parentheses", () => {
+    assert.equal(parse("86400*365"), 31536000);
+    assert.equal(parse("2 + 3 * 4"), 14);
+    assert.equal(parse("(2 + 3) * 4"), 20);
+    assert.equal(parse("2.5M * 2"), 5e6);
+  });
+
+  it("ignores a trailing copy of the problem's unit", () => {
+    assert.equal(parse("250 ms"), 250);
+    assert.equal(parse("1e3ms"), 1000);
+  });
+
+  it("combines expressions with dimension units", () => {
+    assert.equal(
+      parse("2^31 bytes", { unit: "GB", dimension: "bytes" }),
+      2.147483648,
+    );
+    assert.equal(parse("1/2 h", { unit: "s", dimension: "time" }), 1800);
+    assert.equal(parse("10k/s", { unit: "rps", dimension: "rate" }), 10000);
+  });
+
+  it("rejects malformed input with a message", () => {
+    for (const input of ["abc", "2 +", "(1 + 2", "1..2", "eval(1)", "10%3"]) {
+      assert.match(parse(input).error, /Couldn't read/, input);
+    }
+    assert.match(parse("1/0").error, /finite/);
+    assert.match(
+      parse("2 furlongs", { unit: "GB", dimension: "bytes" }).error,
+      /not a bytes unit/,
+    );
+  });
+});
+
 // =============================================
 // Ordering
 // =============================================
@@ -600,167 +1102,2487 @@ describe("two-stage", () => {
 
     assert.equal(advances[0].nextStage.previousAnswer, "X");
   });
-});
-
-// =============================================
-// detailedExplanation
-// =============================================
 
-describe("detailedExplanation", () => {
-  it("included in optionSelected event when present", () => {
+  it("emits stageAdvance with twoStageAdvance as an alias", () => {
     const quiz = new OpenQuizzer();
-    quiz.loadProblems([
-      mcProblem("m1", 0, { detailedExplanation: "<p>Details here</p>" }),
-    ]);
+    quiz.loadProblems([twoStageProblem("ts1")]);
     quiz.start();
-    const events = collectEvents(quiz, "optionSelected");
+    const advances = collectEvents(quiz, "stageAdvance");
+    const aliases = collectEvents(quiz, "twoStageAdvance");
     quiz.selectOption(0);
-    assert.equal(events[0].detailedExplanation, "<p>Details here</p>");
+    assert.equal(advances.length, 1);
+    assert.deepEqual(aliases, advances);
   });
 
-  it("undefined in optionSelected event when absent", () => {
+  it("supports more than two stages", () => {
     const quiz = new OpenQuizzer();
-    quiz.loadProblems([mcProblem("m1", 0)]);
+    const problem = twoStageProblem("ts1");
+    problem.stages.push({
+      question: "Part 3",
+      options: ["M", "N"],
+      correct: 1,
+      explanation: "Stage 3 exp",
+    });
+    quiz.loadProblems([problem]);
     quiz.start();
-    const events = collectEvents(quiz, "optionSelected");
+    const advances = collectEvents(quiz, "stageAdvance");
+    const selected = collectEvents(quiz, "optionSelected");
+
     quiz.selectOption(0);
-    assert.equal(events[0].detailedExplanation, undefined);
+    quiz.selectOption(1);
+    assert.equal(advances.length, 2);
+    assert.equal(advances[1].nextStage.stageIndex, 2);
+    assert.equal(advances[1].nextStage.previousAnswer, "Q");
+    assert.equal(quiz.state, "practicing");
+
+    quiz.selectOption(1);
+    assert.equal(selected[0].allCorrect, true);
+    assert.deepEqual(selected[0].path, [0, 1, 2]);
   });
+});
 
-  it("included in numericResult event when present", () => {
+describe("stage branching", () => {
+  it("a correct first answer follows its branch and skips remediation", () => {
     const quiz = new OpenQuizzer();
-    const problem = numericProblem("n1", { answer: 100, tolerance: "exact" });
-    problem.detailedExplanation = "<p>Numeric details</p>";
-    quiz.loadProblems([problem]);
+    quiz.loadProblems([branchingProblem("b1")]);
     quiz.start();
-    const events = collectEvents(quiz, "numericResult");
-    quiz.submitNumeric("100");
-    assert.equal(events[0].detailedExplanation, "<p>Numeric details</p>");
+    const advances = collectEvents(quiz, "stageAdvance");
+    const selected = collectEvents(quiz, "optionSelected");
+
+    quiz.selectOption(0);
+    assert.equal(advances[0].nextStage.stageIndex, 1);
+    quiz.selectOption(0); // follow-up ends the problem
+
+    assert.equal(selected.length, 1);
+    assert.equal(selected[0].allCorrect, true);
+    assert.deepEqual(selected[0].path, [0, 1]);
+    assert.equal(quiz.state, "answered");
   });
 
-  it("included in multiSelectResult event when present", () => {
+  it("a wrong first answer routes through the remediation stage", () => {
     const quiz = new OpenQuizzer();
-    const problem = multiSelectProblem("ms1", [0, 2]);
-    problem.detailedExplanation = "<p>Multi details</p>";
-    quiz.loadProblems([problem]);
+    quiz.loadProblems([branchingProblem("b1")]);
     quiz.start();
-    const events = collectEvents(quiz, "multiSelectResult");
-    quiz.toggleMultiSelect(0);
-    quiz.toggleMultiSelect(2);
-    quiz.submitMultiSelect();
-    assert.equal(events[0].detailedExplanation, "<p>Multi details</p>");
+    const advances = collectEvents(quiz, "stageAdvance");
+    const selected = collectEvents(quiz, "optionSelected");
+
+    quiz.selectOption(1); // wrong → remediation
+    assert.equal(advances[0].nextStage.stageIndex, 2);
+    assert.equal(advances[0].nextStage.step, 1);
+    quiz.selectOption(0); // remediation → follow-up
+    assert.equal(advances[1].nextStage.stageIndex, 1);
+    assert.equal(advances[1].nextStage.step, 2);
+    assert.deepEqual(advances[1].path, [0, 2]);
+    quiz.selectOption(0);
+
+    assert.equal(selected[0].allCorrect, false);
+    assert.deepEqual(selected[0].path, [0, 2, 1]);
   });
 
-  it("included in orderingResult event when present", () => {
+  it("summary records the path taken", () => {
     const quiz = new OpenQuizzer();
-    const problem = orderingProblem("o1");
-    problem.detailedExplanation = "<p>Ordering details</p>";
-    quiz.loadProblems([problem]);
+    quiz.loadProblems([branchingProblem("b1")]);
     quiz.start();
-    const events = collectEvents(quiz, "orderingResult");
-    quiz.submitOrdering();
-    assert.equal(events[0].detailedExplanation, "<p>Ordering details</p>");
+    [1, 0, 0].forEach((i) => quiz.selectOption(i));
+    quiz.next();
+    const [result] = quiz.getSessionSummary().results;
+    assert.deepEqual(result.path, [0, 2, 1]);
+    assert.deepEqual(result.userAnswer, [
+      { stage: 0, selected: 1, correct: false },
+      { stage: 2, selected: 0, correct: true },
+      { stage: 1, selected: 0, correct: true },
+    ]);
+    assert.deepEqual(result.correctAnswer, [0, 0, 0]);
   });
 
-  it("included in two-stage final optionSelected via stage", () => {
+  it("a single next value applies to every option", () => {
     const quiz = new OpenQuizzer();
-    const problem = twoStageProblem("ts1");
+    const problem = branchingProblem("b1");
+    problem.stages[0].next = "end";
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const selected = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(1);
+    assert.equal(selected.length, 1);
+    assert.deepEqual(selected[0].path, [0]);
+  });
+
+  it("null entries keep the default of moving to the following stage", () => {
+    const quiz = new OpenQuizzer();
+    const problem = branchingProblem("b1");
+    problem.stages[0].next = [null, 2];
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const advances = collectEvents(quiz, "stageAdvance");
+    quiz.selectOption(0);
+    assert.equal(advances[0].nextStage.stageIndex, 1);
+  });
+
+  it("a branch back to a stage already on the path ends the problem", () => {
+    const quiz = new OpenQuizzer();
+    const problem = branchingProblem("b1");
+    problem.stages[1].next = 0;
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const selected = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(0);
+    quiz.selectOption(0);
+    assert.equal(selected.length, 1);
+    assert.deepEqual(selected[0].path, [0, 1]);
+  });
+
+  it("case adaptation follows the path taken", () => {
+    const quiz = new OpenQuizzer();
+    const problem = caseProblem("c1");
+    problem.stages[1].next = [3, 2]; // right answer skips the constraint step
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const selected = collectEvents(quiz, "optionSelected");
+    [0, 0, 0, 0].forEach((i) => quiz.selectOption(i));
+    assert.deepEqual(selected[0].path, [0, 1, 3, 4]);
+    assert.deepEqual(selected[0].adaptation, {
+      correct: 1,
+      total: 1,
+      percentage: 100,
+    });
+  });
+});
+
+// =============================================
+// Parameterized templates
+// =============================================
+
+describe("generateTemplateValues", () => {
+  it("picks list entries and stepped range values within bounds", () => {
+    for (let i = 0; i < 50; i++) {
+      const values = generateTemplateValues({
+        size: ["S", "M", "L"],
+        qps: { min: 1000, max: 5000, step: 1000 },
+        ratio: { min: 0.1, max: 0.3, step: 0.1 },
+      });
+      assert.ok(["S", "M", "L"].includes(values.size));
+      assert.ok([1000, 2000, 3000, 4000, 5000].includes(values.qps));
+      assert.ok([0.1, 0.2, 0.3].includes(values.ratio));
+    }
+  });
+
+  it("step defaults to 1", () => {
+    const values = withRandom([0.99], () =>
+      generateTemplateValues({ n: { min: 3, max: 7 } }),
+    );
+    assert.equal(values.n, 7);
+  });
+
+  it("evaluates string variables over earlier ones", () => {
+    const values = withRandom([0], () =>
+      generateTemplateValues({
+        qps: { min: 100, max: 200, step: 100 },
+        daily: "{{qps}} * 86400",
+      }),
+    );
+    assert.deepEqual(values, { qps: 100, daily: 8640000 });
+  });
+});
+
+describe("instantiateTemplate", () => {
+  const values = { qps: 2000, payloadKB: 4 };
+
+  it("fills placeholders and evaluates a numeric answer", () => {
+    const instance = instantiateTemplate(templatedProblem("t1"), values);
+    assert.equal(instance.question, "2000 requests/s at 4 KB each. KB/s?");
+    assert.equal(instance.answer, 8000);
+    assert.equal(instance.explanation, "2000 × 4 = 8000 KB/s");
+    assert.deepEqual(instance.values, values);
+    assert.equal(instance.variables, undefined);
+    assert.equal(instance.id, "t1");
+  });
+
+  it("fills nested fields such as options and stages", () => {
+    const instance = instantiateTemplate(
+      {
+        id: "t2",
+        type: "two-stage",
+        variables: { n: [3] },
+        stages: [
+          { question: "n = {{n}}", options: ["{{n * 2}}", "{{n + 2}}"] },
+        ],
+      },
+      { n: 3 },
+    );
+    assert.equal(instance.stages[0].question, "n = 3");
+    assert.deepEqual(instance.stages[0].options, ["6", "5"]);
+  });
+
+  it("follows arithmetic precedence and supports functions", () => {
+    const render = (expression, vars = {}) =>
+      instantiateTemplate(
+        { id: "e", variables: {}, question: `{{${expression}}}` },
+        vars,
+      ).question;
+    assert.equal(render("2 + 3 * 4"), "14");
+    assert.equal(render("(2 + 3) * 4"), "20");
+    assert.equal(render("-2^2"), "-4");
+    assert.equal(render("2 ** 3 ** 2"), "512");
+    assert.equal(render("10 / 4"), "2.5");
+    assert.equal(render("0.1 + 0.2"), "0.3");
+    assert.equal(render("round(x / 3, 1)", { x: 10 }), "3.3");
+    assert.equal(render("max(a, b) % 4", { a: 7, b: 9 }), "1");
+  });
+
+  it("leaves unknown or malformed placeholders as written", () => {
+    const instance = instantiateTemplate(
+      { id: "u", variables: {}, question: "{{missing}} and {{2 +}}" },
+      {},
+    );
+    assert.equal(instance.question, "{{missing}} and {{2 +}}");
+  });
+
+  it("returns problems without variables unchanged", () => {
+    const problem = mcProblem("m1");
+    assert.equal(instantiateTemplate(problem, values), problem);
+  });
+});
+
+describe("templated problems in a session", () => {
+  it("shows and grades the generated instance", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([templatedProblem("t1")]);
+    const shows = collectEvents(quiz, "questionShow");
+    const results = collectEvents(quiz, "numericResult");
+    quiz.start();
+
+    const { problem } = shows[0];
+    const { qps, payloadKB } = problem.values;
+    assert.equal(
+      problem.question,
+      `${qps} requests/s at ${payloadKB} KB each. KB/s?`,
+    );
+    assert.equal(quiz.problem.answer, qps * payloadKB);
+
+    quiz.submitNumeric(String(qps * payloadKB));
+    assert.equal(results[0].correct, true);
+    assert.deepEqual(quiz.answers[0].values, { qps, payloadKB });
+  });
+
+  it("generates fresh values on each showing", () => {
+    const quiz = new OpenQuizzer({ seed: 1 });
+    quiz.loadProblems([templatedProblem("t1")]);
+    const shows = collectEvents(quiz, "questionShow");
+    quiz.start();
+    quiz.skip();
+    quiz.retry();
+    assert.deepEqual(shows[0].problem.values, { qps: 3000, payloadKB: 4 });
+    assert.deepEqual(shows[1].problem.values, { qps: 1000, payloadKB: 1 });
+  });
+
+  it("summary and review use the values that were shown", () => {
+    const quiz = new OpenQuizzer({ seed: 1 });
+    quiz.loadProblems([templatedProblem("t1")]);
+    quiz.start();
+    quiz.submitNumeric("1"); // wrong: 3000 × 4 = 12000
+    quiz.next();
+
+    const [result] = quiz.getSessionSummary().results;
+    assert.equal(result.question, "3000 requests/s at 4 KB each. KB/s?");
+    assert.equal(result.correctAnswer, 12000);
+
+    const reviews = collectEvents(quiz, "reviewShow");
+    quiz.startReview();
+    assert.equal(reviews[0].explanation, "3000 × 4 = 12000 KB/s");
+    assert.equal(quiz.problem.answer, 12000);
+  });
+
+  it("skipped answers keep their values", () => {
+    const quiz = new OpenQuizzer({ seed: 1 });
+    quiz.loadProblems([templatedProblem("t1")]);
+    quiz.start();
+    quiz.skip();
+    assert.deepEqual(quiz.answers[0].values, { qps: 3000, payloadKB: 4 });
+  });
+
+  it("snapshot keeps the unanswered instance across resume", () => {
+    const quiz = new OpenQuizzer({ seed: 1 });
+    quiz.loadProblems([templatedProblem("t1"), templatedProblem("t2")]);
+    quiz.start();
+    const snapshot = quiz.getSnapshot();
+    const values = { ...quiz.problem.values };
+    assert.deepEqual(snapshot.templateValues, values);
+
+    const restored = new OpenQuizzer();
+    restored.restoreSession(snapshot);
+    const shows = collectEvents(restored, "questionShow");
+    restored.resume();
+    assert.deepEqual(shows[0].problem.values, values);
+  });
+
+  it("snapshot omits values once the current problem is answered", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([templatedProblem("t1"), templatedProblem("t2")]);
+    quiz.start();
+    quiz.submitNumeric("1");
+    assert.equal(quiz.getSnapshot().templateValues, null);
+  });
+});
+
+// =============================================
+// Hotspot
+// =============================================
+
+describe("hotspot", () => {
+  function startHotspot(problem, options) {
+    const quiz = new OpenQuizzer(options);
+    quiz.loadProblems([problem]);
+    quiz.start();
+    return quiz;
+  }
+
+  it("placing and removing points emits hotspotUpdate", () => {
+    const quiz = startHotspot(hotspotProblem("h1"));
+    const updates = collectEvents(quiz, "hotspotUpdate");
+    quiz.placeHotspot(0.2, 0.2);
+    quiz.placeHotspot(0.7, 0.5);
+    quiz.removeHotspot(0);
+    assert.deepEqual(
+      updates.map((u) => u.points),
+      [
+        [[0.2, 0.2]],
+        [
+          [0.2, 0.2],
+          [0.7, 0.5],
+        ],
+        [[0.7, 0.5]],
+      ],
+    );
+  });
+
+  it("keeps one point per region, replacing the oldest", () => {
+    const quiz = startHotspot(hotspotProblem("h1"));
+    const updates = collectEvents(quiz, "hotspotUpdate");
+    quiz.placeHotspot(0.1, 0.1);
+    quiz.placeHotspot(0.2, 0.2);
+    quiz.placeHotspot(0.3, 0.3);
+    assert.deepEqual(updates[2].points, [
+      [0.2, 0.2],
+      [0.3, 0.3],
+    ]);
+  });
+
+  it("ignores points outside the image", () => {
+    const quiz = startHotspot(hotspotProblem("h1"));
+    const updates = collectEvents(quiz, "hotspotUpdate");
+    quiz.placeHotspot(1.2, 0.5);
+    quiz.placeHotspot(0.5, NaN);
+    assert.equal(updates.length, 0);
+  });
+
+  it("is correct when every region is hit with no stray points", () => {
+    const quiz = startHotspot(hotspotProblem("h1"));
+    const results = collectEvents(quiz, "hotspotResult");
+    quiz.placeHotspot(0.72, 0.45); // circle
+    quiz.placeHotspot(0.15, 0.35); // rectangle
+    quiz.submitHotspot();
+
+    assert.equal(results[0].correct, true);
+    assert.deepEqual(results[0].pointRegions, [1, 0]);
+    assert.deepEqual(results[0].regionsHit, [true, true]);
+    assert.equal(quiz.state, "answered");
+    assert.equal(quiz.score.correct, 1);
+  });
+
+  it("reports missed regions and stray points", () => {
+    const quiz = startHotspot(hotspotProblem("h1"));
+    const results = collectEvents(quiz, "hotspotResult");
+    quiz.placeHotspot(0.2, 0.2); // rectangle
+    quiz.placeHotspot(0.9, 0.9); // stray
+    quiz.submitHotspot();
+
+    assert.equal(results[0].correct, false);
+    assert.deepEqual(results[0].pointRegions, [0, -1]);
+    assert.deepEqual(results[0].regionsHit, [true, false]);
+    assert.equal(results[0].credit, 0);
+  });
+
+  it("hit-tests polygons", () => {
+    const triangle = {
+      shape: "polygon",
+      points: [
+        [0.5, 0.1],
+        [0.9, 0.9],
+        [0.1, 0.9],
+      ],
+    };
+    const inside = startHotspot(hotspotProblem("h1", [triangle]));
+    const insideResults = collectEvents(inside, "hotspotResult");
+    inside.placeHotspot(0.5, 0.6);
+    inside.submitHotspot();
+    assert.equal(insideResults[0].correct, true);
+
+    const outside = startHotspot(hotspotProblem("h2", [triangle]));
+    const outsideResults = collectEvents(outside, "hotspotResult");
+    outside.placeHotspot(0.15, 0.2); // inside the bounding box, outside the triangle
+    outside.submitHotspot();
+    assert.equal(outsideResults[0].correct, false);
+  });
+
+  it("partial scoring credits regions hit minus stray points", () => {
+    const quiz = startHotspot(hotspotProblem("h1"), { scoring: "partial" });
+    const results = collectEvents(quiz, "hotspotResult");
+    quiz.placeHotspot(0.2, 0.2);
+    quiz.submitHotspot();
+    assert.equal(results[0].credit, 0.5);
+  });
+
+  it("submit without points is ignored", () => {
+    const quiz = startHotspot(hotspotProblem("h1"));
+    const results = collectEvents(quiz, "hotspotResult");
+    quiz.submitHotspot();
+    assert.equal(results.length, 0);
+    assert.equal(quiz.state, "practicing");
+  });
+
+  it("summary lists points with the region each hit", () => {
+    const quiz = startHotspot(hotspotProblem("h1"));
+    quiz.placeHotspot(0.2, 0.2);
+    quiz.placeHotspot(0.9, 0.9);
+    quiz.submitHotspot();
+    quiz.next();
+    const [result] = quiz.getSessionSummary().results;
+    assert.equal(result.type, "hotspot");
+    assert.deepEqual(result.userAnswer, [
+      { x: 0.2, y: 0.2, region: 0 },
+      { x: 0.9, y: 0.9, region: -1 },
+    ]);
+    assert.equal(result.correctAnswer.length, 2);
+    assert.equal(result.correctAnswer[1].shape, "circle");
+  });
+
+  it("snapshot restores in-progress points on resume", () => {
+    const quiz = startHotspot(hotspotProblem("h1"));
+    quiz.placeHotspot(0.2, 0.2);
+    const snapshot = quiz.getSnapshot();
+    assert.deepEqual(snapshot.hotspotPoints, [[0.2, 0.2]]);
+
+    const restored = new OpenQuizzer();
+    restored.restoreSession(snapshot);
+    const updates = collectEvents(restored, "hotspotUpdate");
+    restored.resume();
+    assert.deepEqual(updates[0].points, [[0.2, 0.2]]);
+  });
+});
+
+// =============================================
+// Case
+// =============================================
+
+describe("case", () => {
+  it("advances through every step before grading", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([caseProblem("c1")]);
+    quiz.start();
+    const advances = collectEvents(quiz, "twoStageAdvance");
+    const selected = collectEvents(quiz, "optionSelected");
+
+    for (let i = 0; i < 4; i++) quiz.selectOption(0);
+    assert.equal(advances.length, 4);
+    assert.equal(advances[3].totalStages, 5);
+    assert.equal(selected.length, 0);
+    assert.equal(quiz.state, "practicing");
+
+    quiz.selectOption(0);
+    assert.equal(selected.length, 1);
+    assert.equal(selected[0].allCorrect, true);
+    assert.deepEqual(selected[0].stepResults, [true, true, true, true, true]);
+    assert.equal(quiz.state, "answered");
+    assert.equal(quiz.score.correct, 1);
+  });
+
+  it("advance payload carries the new constraint and earlier steps", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([caseProblem("c1")]);
+    quiz.start();
+    const advances = collectEvents(quiz, "twoStageAdvance");
+
+    quiz.selectOption(1); // step 1 wrong
+    quiz.selectOption(0); // step 2 right → step 3 brings a constraint
+
+    assert.equal(advances[0].nextStage.constraint, undefined);
+    assert.equal(advances[1].nextStage.constraint, "Traffic spikes 10x");
+    assert.deepEqual(advances[1].nextStage.context, [
+      { question: "Step 1", answer: "B1", constraint: undefined },
+      { question: "Step 2", answer: "A2", constraint: undefined },
+    ]);
+  });
+
+  it("two-stage advance payload has no case fields", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([twoStageProblem("ts1")]);
+    quiz.start();
+    const advances = collectEvents(quiz, "twoStageAdvance");
+    quiz.selectOption(0);
+    assert.equal("context" in advances[0].nextStage, false);
+  });
+
+  it("scores adaptation from the first mid-case constraint onward", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([caseProblem("c1")]);
+    quiz.start();
+    const selected = collectEvents(quiz, "optionSelected");
+
+    [0, 0, 1, 0, 0].forEach((i) => quiz.selectOption(i)); // step 3 wrong
+
+    assert.equal(selected[0].allCorrect, false);
+    assert.deepEqual(selected[0].stepResults, [true, true, false, true, true]);
+    assert.deepEqual(selected[0].adaptation, {
+      correct: 2,
+      total: 3,
+      percentage: 67,
+    });
+    assert.equal(quiz.score.correct, 0);
+  });
+
+  it("adaptation is null without a mid-case constraint", () => {
+    const quiz = new OpenQuizzer();
+    const problem = caseProblem("c1");
+    problem.stages = problem.stages.map(({ constraint, ...stage }) => stage);
+    problem.stages[0].constraint = "Budget is fixed"; // opening setup, not a change
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const selected = collectEvents(quiz, "optionSelected");
+    for (let i = 0; i < 5; i++) quiz.selectOption(0);
+    assert.equal(selected[0].adaptation, null);
+  });
+
+  it("partial scoring credits the fraction of correct steps", () => {
+    const quiz = new OpenQuizzer({ scoring: "partial" });
+    quiz.loadProblems([caseProblem("c1")]);
+    quiz.start();
+    const selected = collectEvents(quiz, "optionSelected");
+    [1, 0, 0, 1, 0].forEach((i) => quiz.selectOption(i));
+    assert.equal(selected[0].credit, 0.6);
+    assert.equal(quiz.score.credit, 0.6);
+    assert.equal(quiz.score.correct, 0);
+  });
+
+  it("all-or-nothing scoring gives no credit for a partly right case", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([caseProblem("c1")]);
+    quiz.start();
+    [1, 0, 0, 0, 0].forEach((i) => quiz.selectOption(i));
+    assert.equal(quiz.score.credit, 0);
+  });
+
+  it("summary reports each step and the adaptation score", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([caseProblem("c1")]);
+    quiz.start();
+    [0, 1, 0, 0, 1].forEach((i) => quiz.selectOption(i));
+    quiz.next();
+    const [result] = quiz.getSessionSummary().results;
+    assert.equal(result.type, "case");
+    assert.equal(result.question, "Design a URL shortener");
+    assert.deepEqual(
+      result.userAnswer.map((step) => step.correct),
+      [true, false, true, true, false],
+    );
+    assert.deepEqual(result.correctAnswer, [0, 0, 0, 0, 0]);
+    assert.deepEqual(result.adaptation, {
+      correct: 2,
+      total: 3,
+      percentage: 67,
+    });
+  });
+});
+
+// =============================================
+// Fill-in-blank
+// =============================================
+
+describe("fill-in-blank", () => {
+  it("questionShow splits the question around each blank", () => {
+    const quiz = new OpenQuizzer();
+    const problem = fillBlankProblem("f1");
+    problem.question = "The capital of France is ___, on the ___.";
+    problem.blanks = [["Paris"], ["Seine"]];
+    quiz.loadProblems([problem]);
+    const shows = collectEvents(quiz, "questionShow");
+    quiz.start();
+    assert.deepEqual(shows[0].textSegments, [
+      "The capital of France is ",
+      ", on the ",
+      ".",
+    ]);
+  });
+
+  it("textSegments is undefined for other types", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1")]);
+    const shows = collectEvents(quiz, "questionShow");
+    quiz.start();
+    assert.equal(shows[0].textSegments, undefined);
+  });
+
+  it("correct answer is case-insensitive and whitespace-normalized by default", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([fillBlankProblem("f1", [["New York"]])]);
+    quiz.start();
+    const events = collectEvents(quiz, "textResult");
+    quiz.submitText(["  new   YORK "]);
+    assert.equal(events[0].correct, true);
+    assert.deepEqual(events[0].blankResults, [true]);
+    assert.equal(quiz.state, "answered");
+    assert.equal(quiz.score.correct, 1);
+  });
+
+  it("accepts any listed alternative", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      fillBlankProblem("f1", [["DNS", "Domain Name System"]]),
+    ]);
+    quiz.start();
+    const events = collectEvents(quiz, "textResult");
+    quiz.submitText("domain name system");
+    assert.equal(events[0].correct, true);
+    assert.deepEqual(events[0].correctAnswers, ["DNS"]);
+  });
+
+  it("every blank must be correct", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([fillBlankProblem("f1", [["a"], ["b"]])]);
+    quiz.start();
+    const events = collectEvents(quiz, "textResult");
+    quiz.submitText(["a", "c"]);
+    assert.equal(events[0].correct, false);
+    assert.deepEqual(events[0].blankResults, [true, false]);
+  });
+
+  it("caseSensitive option rejects wrong case", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      fillBlankProblem("f1", [["NaCl"]], { caseSensitive: true }),
+    ]);
+    quiz.start();
+    const events = collectEvents(quiz, "textResult");
+    quiz.submitText("nacl");
+    assert.equal(events[0].correct, false);
+  });
+
+  it("ignorePunctuation and ignoreWhitespace options", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      fillBlankProblem("f1", [
+        { answers: ["e.g."], ignorePunctuation: true },
+        { answers: ["hash map"], ignoreWhitespace: true },
+      ]),
+    ]);
+    quiz.start();
+    const events = collectEvents(quiz, "textResult");
+    quiz.submitText(["eg", "hashmap"]);
+    assert.deepEqual(events[0].blankResults, [true, true]);
+  });
+
+  it("blank-level options override problem-level options", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      fillBlankProblem("f1", [{ answers: ["abc"], caseSensitive: false }], {
+        caseSensitive: true,
+      }),
+    ]);
+    quiz.start();
+    const events = collectEvents(quiz, "textResult");
+    quiz.submitText("ABC");
+    assert.equal(events[0].correct, true);
+  });
+
+  it("all-empty input is ignored", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([fillBlankProblem("f1", [["a"], ["b"]])]);
+    quiz.start();
+    const events = collectEvents(quiz, "textResult");
+    quiz.submitText(["", "   "]);
+    assert.equal(events.length, 0);
+    assert.equal(quiz.state, "practicing");
+  });
+
+  it("missing blank value counts as wrong", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([fillBlankProblem("f1", [["a"], ["b"]])]);
+    quiz.start();
+    const events = collectEvents(quiz, "textResult");
+    quiz.submitText(["a"]);
+    assert.deepEqual(events[0].blankResults, [true, false]);
+  });
+
+  it("double submit is ignored", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([fillBlankProblem("f1")]);
+    quiz.start();
+    const events = collectEvents(quiz, "textResult");
+    quiz.submitText("Paris");
+    quiz.submitText("London");
+    assert.equal(events.length, 1);
+  });
+
+  it("summary result records typed answers and accepted answers", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      fillBlankProblem("f1", [["DNS", "Domain Name System"]]),
+    ]);
+    quiz.start();
+    quiz.submitText("dns ");
+    const summary = quiz.getSessionSummary();
+    assert.equal(summary.results[0].type, "fill-in-blank");
+    assert.deepEqual(summary.results[0].userAnswer, ["dns"]);
+    assert.deepEqual(summary.results[0].correctAnswer, [
+      ["DNS", "Domain Name System"],
+    ]);
+    assert.deepEqual(summary.breakdownByType["fill-in-blank"], {
+      correct: 1,
+      total: 1,
+      percentage: 100,
+    });
+  });
+});
+
+// =============================================
+// Matching
+// =============================================
+
+describe("matching", () => {
+  function pairAllCorrect(quiz, problem) {
+    for (const [left, right] of problem.pairs) quiz.pairMatch(left, right);
+  }
+
+  it("questionShow includes every right item, shuffled with original indices", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([matchingProblem("x1")]);
+    const shows = collectEvents(quiz, "questionShow");
+    quiz.start();
+    const right = shows[0].shuffledRight;
+    assert.equal(right.length, 4);
+    assert.deepEqual(right.map((r) => r.originalIndex).sort(), [0, 1, 2, 3]);
+    for (const { originalIndex, text } of right) {
+      assert.equal(text, `R${originalIndex}`);
+    }
+  });
+
+  it("all pairs correct", () => {
+    const quiz = new OpenQuizzer();
+    const problem = matchingProblem("x1");
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const results = collectEvents(quiz, "matchingResult");
+    pairAllCorrect(quiz, problem);
+    quiz.submitMatching();
+    assert.equal(results[0].correct, true);
+    assert.deepEqual(results[0].pairResults, [true, true, true]);
+    assert.equal(quiz.state, "answered");
+    assert.equal(quiz.score.correct, 1);
+  });
+
+  it("one wrong pair is incorrect", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([matchingProblem("x1")]);
+    quiz.start();
+    const results = collectEvents(quiz, "matchingResult");
+    quiz.pairMatch(0, 1);
+    quiz.pairMatch(1, 2);
+    quiz.pairMatch(2, 3); // distractor
+    quiz.submitMatching();
+    assert.equal(results[0].correct, false);
+    assert.deepEqual(results[0].pairResults, [true, true, false]);
+  });
+
+  it("unpaired left items count as wrong", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([matchingProblem("x1")]);
+    quiz.start();
+    const results = collectEvents(quiz, "matchingResult");
+    quiz.pairMatch(0, 1);
+    quiz.submitMatching();
+    assert.deepEqual(results[0].pairResults, [true, false, false]);
+    assert.equal(results[0].correct, false);
+  });
+
+  it("pairing is one-to-one — reusing a right item moves it", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([matchingProblem("x1")]);
+    quiz.start();
+    const updates = collectEvents(quiz, "matchingUpdate");
+    quiz.pairMatch(0, 1);
+    quiz.pairMatch(2, 1);
+    assert.deepEqual(updates[1].pairs, [[2, 1]]);
+    quiz.pairMatch(2, 0);
+    assert.deepEqual(updates[2].pairs, [[2, 0]]);
+  });
+
+  it("unpairMatch removes a pairing", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([matchingProblem("x1")]);
+    quiz.start();
+    const updates = collectEvents(quiz, "matchingUpdate");
+    quiz.pairMatch(0, 1);
+    quiz.pairMatch(1, 2);
+    quiz.unpairMatch(0);
+    assert.deepEqual(updates[2].pairs, [[1, 2]]);
+    quiz.unpairMatch(0); // already unpaired — no event
+    assert.equal(updates.length, 3);
+  });
+
+  it("out-of-bounds pairs are ignored", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([matchingProblem("x1")]);
+    quiz.start();
+    const updates = collectEvents(quiz, "matchingUpdate");
+    quiz.pairMatch(-1, 0);
+    quiz.pairMatch(0, 4);
+    quiz.pairMatch(3, 0);
+    assert.equal(updates.length, 0);
+  });
+
+  it("pairing is ignored after submit", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([matchingProblem("x1")]);
+    quiz.start();
+    quiz.submitMatching();
+    const updates = collectEvents(quiz, "matchingUpdate");
+    quiz.pairMatch(0, 1);
+    assert.equal(updates.length, 0);
+  });
+
+  it("summary result records user and correct pairs", () => {
+    const quiz = new OpenQuizzer();
+    const problem = matchingProblem("x1");
+    quiz.loadProblems([problem]);
+    quiz.start();
+    quiz.pairMatch(2, 0);
+    quiz.pairMatch(0, 1);
+    quiz.submitMatching();
+    const result = quiz.getSessionSummary().results[0];
+    assert.equal(result.type, "matching");
+    assert.deepEqual(result.userAnswer, [
+      [0, 1],
+      [2, 0],
+    ]);
+    assert.deepEqual(result.correctAnswer, problem.pairs);
+  });
+
+  it("weightedShuffle keeps matching problems as a normal type queue", () => {
+    const quiz = new OpenQuizzer({ typeWeights: { "multiple-choice": 1 } });
+    quiz.loadProblems([
+      matchingProblem("x1"),
+      matchingProblem("x2"),
+      mcProblem("m1"),
+    ]);
+    const ids = quiz.getSnapshot().problems.map((p) => p.id);
+    assert.deepEqual([...ids].sort(), ["m1", "x1", "x2"]);
+  });
+
+  it("snapshot keeps pairings made so far and resume restores them", () => {
+    const quiz1 = new OpenQuizzer();
+    quiz1.loadProblems([matchingProblem("x1")]);
+    quiz1.start();
+    quiz1.pairMatch(0, 1);
+    quiz1.pairMatch(1, 2);
+    const snapshot = quiz1.getSnapshot();
+    assert.deepEqual(snapshot.matchingPairs, [
+      [0, 1],
+      [1, 2],
+    ]);
+
+    const quiz2 = new OpenQuizzer();
+    quiz2.restoreSession(JSON.parse(JSON.stringify(snapshot)));
+    const updates = collectEvents(quiz2, "matchingUpdate");
+    const results = collectEvents(quiz2, "matchingResult");
+    quiz2.resume();
+    assert.deepEqual(updates[0].pairs, [
+      [0, 1],
+      [1, 2],
+    ]);
+    quiz2.pairMatch(2, 0);
+    quiz2.submitMatching();
+    assert.equal(results[0].correct, true);
+  });
+
+  it("start() after restoreSession discards restored pairings", () => {
+    const quiz1 = new OpenQuizzer();
+    quiz1.loadProblems([matchingProblem("x1")]);
+    quiz1.start();
+    quiz1.pairMatch(0, 1);
+    const snapshot = quiz1.getSnapshot();
+
+    const quiz2 = new OpenQuizzer();
+    quiz2.restoreSession(snapshot);
+    const updates = collectEvents(quiz2, "matchingUpdate");
+    quiz2.start();
+    assert.equal(updates.length, 0);
+    assert.deepEqual(quiz2.getSnapshot().matchingPairs, []);
+  });
+});
+
+// =============================================
+// Partial-credit scoring
+// =============================================
+
+describe("partial credit", () => {
+  function eightItemOrdering(id, extra = {}) {
+    return {
+      id,
+      type: "ordering",
+      question: `Order ${id}`,
+      items: ["a", "b", "c", "d", "e", "f", "g", "h"],
+      correctOrder: [0, 1, 2, 3, 4, 5, 6, 7],
+      explanation: `Explanation for ${id}`,
+      ...extra,
+    };
+  }
+
+  /** Start a one-problem session and arrange the ordering into targetOrder. */
+  function submitOrderingAs(quiz, problem, targetOrder) {
+    const shows = collectEvents(quiz, "questionShow");
+    const results = collectEvents(quiz, "orderingResult");
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const currentOrder = shows[0].shuffledItems.map((i) => i.originalIndex);
+    for (let i = 0; i < targetOrder.length; i++) {
+      const currentPos = currentOrder.indexOf(targetOrder[i]);
+      if (currentPos !== i) {
+        quiz.moveOrderingItem(currentPos, i);
+        const [item] = currentOrder.splice(currentPos, 1);
+        currentOrder.splice(i, 0, item);
+      }
+    }
+    quiz.submitOrdering();
+    return results[0];
+  }
+
+  it("all-or-nothing by default — one swap earns no credit", () => {
+    const quiz = new OpenQuizzer();
+    const result = submitOrderingAs(
+      quiz,
+      eightItemOrdering("o1"),
+      [1, 0, 2, 3, 4, 5, 6, 7],
+    );
+    assert.equal(result.correct, false);
+    assert.equal(result.credit, 0);
+  });
+
+  it("ordering: one adjacent swap in 8 items scores 27/28", () => {
+    const quiz = new OpenQuizzer({ scoring: "partial" });
+    const result = submitOrderingAs(
+      quiz,
+      eightItemOrdering("o1"),
+      [1, 0, 2, 3, 4, 5, 6, 7],
+    );
+    assert.equal(result.correct, false);
+    assert.equal(result.credit, Math.round((27 / 28) * 1000) / 1000);
+  });
+
+  it("ordering: fully reversed list scores 0", () => {
+    const quiz = new OpenQuizzer({ scoring: "partial" });
+    const result = submitOrderingAs(
+      quiz,
+      eightItemOrdering("o1"),
+      [7, 6, 5, 4, 3, 2, 1, 0],
+    );
+    assert.equal(result.credit, 0);
+  });
+
+  it("ordering: correct order scores full credit", () => {
+    const quiz = new OpenQuizzer({ scoring: "partial" });
+    const result = submitOrderingAs(
+      quiz,
+      eightItemOrdering("o1"),
+      [0, 1, 2, 3, 4, 5, 6, 7],
+    );
+    assert.equal(result.correct, true);
+    assert.equal(result.credit, 1);
+  });
+
+  it("per-problem scoring overrides the constructor default", () => {
+    const quiz = new OpenQuizzer();
+    const result = submitOrderingAs(
+      quiz,
+      eightItemOrdering("o1", { scoring: "partial" }),
+      [1, 0, 2, 3, 4, 5, 6, 7],
+    );
+    assert.ok(result.credit > 0.9);
+
+    const quiz2 = new OpenQuizzer({ scoring: "partial" });
+    const result2 = submitOrderingAs(
+      quiz2,
+      eightItemOrdering("o2", { scoring: "all-or-nothing" }),
+      [1, 0, 2, 3, 4, 5, 6, 7],
+    );
+    assert.equal(result2.credit, 0);
+  });
+
+  it("multi-select: correct toggles minus incorrect ones", () => {
+    const quiz = new OpenQuizzer({ scoring: "partial" });
+    quiz.loadProblems([multiSelectProblem("ms1", [0, 1])]);
+    quiz.start();
+    const results = collectEvents(quiz, "multiSelectResult");
+    quiz.toggleMultiSelect(0); // correct
+    quiz.submitMultiSelect();
+    assert.equal(results[0].correct, false);
+    assert.equal(results[0].credit, 0.5);
+  });
+
+  it("multi-select: wrong toggles subtract and credit floors at 0", () => {
+    const quiz = new OpenQuizzer({ scoring: "partial" });
+    quiz.loadProblems([
+      multiSelectProblem("ms1", [0, 2]),
+      multiSelectProblem("ms2", [0, 2]),
+    ]);
+    quiz.start();
+    const results = collectEvents(quiz, "multiSelectResult");
+    // First problem: 2 correct + 1 wrong → (2 − 1) / 2
+    quiz.toggleMultiSelect(0);
+    quiz.toggleMultiSelect(2);
+    quiz.toggleMultiSelect(1);
+    quiz.submitMultiSelect();
+    quiz.next();
+    // Second problem: 0 correct + 2 wrong → floored at 0
+    quiz.toggleMultiSelect(1);
+    quiz.toggleMultiSelect(3);
+    quiz.submitMultiSelect();
+    assert.equal(results[0].credit, 0.5);
+    assert.equal(results[1].credit, 0);
+  });
+
+  it("score, answers and summary results carry fractional credit", () => {
+    const quiz = new OpenQuizzer({ scoring: "partial" });
+    quiz.loadProblems([multiSelectProblem("ms1", [0, 2]), mcProblem("m1", 0)]);
+    quiz.start();
+    while (quiz.state !== "complete") {
+      if (quiz.problem.type === "multi-select") {
+        quiz.toggleMultiSelect(0);
+        quiz.submitMultiSelect();
+      } else {
+        quiz.selectOption(0);
+      }
+      quiz.next();
+    }
+    assert.equal(quiz.score.correct, 1);
+    assert.equal(quiz.score.credit, 1.5);
+    assert.equal(quiz.score.percentage, 50);
+    const msAnswer = quiz.answers.find((a) => a.problemId === "ms1");
+    assert.equal(msAnswer.credit, 0.5);
+    assert.equal(msAnswer.correct, false);
+
+    const summary = quiz.getSessionSummary();
+    assert.equal(summary.score.credit, 1.5);
+    const msResult = summary.results.find((r) => r.id === "ms1");
+    assert.equal(msResult.credit, 0.5);
+    assert.equal(msResult.correct, false);
+  });
+
+  it("skipped and timed-out answers earn no credit", () => {
+    const quiz = new OpenQuizzer({ scoring: "partial" });
+    quiz.loadProblems([mcProblem("m1", 0), mcProblem("m2", 0)]);
+    quiz.start();
+    quiz.skip();
+    quiz.timeout();
+    assert.equal(quiz.score.credit, 0);
+    assert.ok(quiz.answers.every((a) => a.credit === 0));
+  });
+
+  it("unknown scoring mode falls back to all-or-nothing", () => {
+    const quiz = new OpenQuizzer({ scoring: "generous" });
+    quiz.loadProblems([multiSelectProblem("ms1", [0, 2])]);
+    quiz.start();
+    const results = collectEvents(quiz, "multiSelectResult");
+    quiz.toggleMultiSelect(0);
+    quiz.submitMultiSelect();
+    assert.equal(results[0].credit, 0);
+  });
+});
+
+// =============================================
+// Review mode
+// =============================================
+
+describe("review mode", () => {
+  function completedQuiz() {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      mcProblem("m1", 0),
+      mcProblem("m2", 1),
+      numericProblem("n1"),
+      mcProblem("m3", 2),
+    ]);
+    quiz.start();
+    // Problems are shuffled on start, so answer by id: m2 wrong, n1 skipped
+    while (quiz.state !== "complete") {
+      const { id, correct } = quiz.problem;
+      if (id === "n1") quiz.skip();
+      else quiz.selectOption(id === "m2" ? 0 : correct);
+      quiz.next();
+    }
+    return quiz;
+  }
+
+  it("startReview is ignored before the session is complete", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    quiz.start();
+    const shown = collectEvents(quiz, "reviewShow");
+    quiz.startReview();
+    assert.equal(quiz.state, "practicing");
+    assert.equal(shown.length, 0);
+  });
+
+  it("startReview does nothing when every answer was correct", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    quiz.start();
+    quiz.selectOption(0);
+    quiz.next();
+    const shown = collectEvents(quiz, "reviewShow");
+    quiz.startReview();
+    assert.equal(quiz.state, "complete");
+    assert.equal(shown.length, 0);
+  });
+
+  it("walks only wrong and skipped problems in session order", () => {
+    const quiz = completedQuiz();
+    const missed = quiz
+      .getSessionSummary()
+      .results.filter((r) => !r.correct)
+      .map((r) => r.id);
+    const shown = collectEvents(quiz, "reviewShow");
+    quiz.startReview();
+    assert.equal(quiz.state, "review");
+    quiz.nextReview();
+    assert.deepEqual(
+      shown.map((e) => e.problem.id),
+      missed,
+    );
+    assert.deepEqual([...missed].sort(), ["m2", "n1"]);
+    assert.deepEqual(
+      shown.map((e) => [e.index, e.total]),
+      [
+        [0, 2],
+        [1, 2],
+      ],
+    );
+  });
+
+  it("reviewShow includes the normalized result and explanation", () => {
+    const quiz = completedQuiz();
+    const shown = collectEvents(quiz, "reviewShow");
+    quiz.startReview();
+    quiz.nextReview();
+    const wrong = shown.find((e) => e.problem.id === "m2");
+    assert.equal(wrong.type, "multiple-choice");
+    assert.equal(wrong.result.userAnswer, 0);
+    assert.equal(wrong.result.correctAnswer, 1);
+    assert.equal(wrong.result.correct, false);
+    assert.equal(wrong.explanation, "Explanation for m2");
+    const skipped = shown.find((e) => e.problem.id === "n1");
+    assert.equal(skipped.result.skipped, true);
+  });
+
+  it("problem getter returns the problem under review", () => {
+    const quiz = completedQuiz();
+    const shown = collectEvents(quiz, "reviewShow");
+    quiz.startReview();
+    assert.equal(quiz.problem.id, shown[0].problem.id);
+    quiz.nextReview();
+    assert.equal(quiz.problem.id, shown[1].problem.id);
+  });
+
+  it("nextReview past the last item emits reviewComplete and returns to complete", () => {
+    const quiz = completedQuiz();
+    const done = collectEvents(quiz, "reviewComplete");
+    quiz.startReview();
+    quiz.nextReview();
+    quiz.nextReview();
+    assert.equal(quiz.state, "complete");
+    assert.deepEqual(done, [{ reviewed: 2, total: 2 }]);
+  });
+
+  it("endReview exits early and review can be restarted", () => {
+    const quiz = completedQuiz();
+    const done = collectEvents(quiz, "reviewComplete");
+    const shown = collectEvents(quiz, "reviewShow");
+    quiz.startReview();
+    quiz.endReview();
+    assert.equal(quiz.state, "complete");
+    assert.deepEqual(done, [{ reviewed: 1, total: 2 }]);
+    quiz.startReview();
+    assert.equal(shown.length, 2);
+    assert.equal(shown[1].problem.id, shown[0].problem.id);
+  });
+
+  it("review does not alter the score or session summary", () => {
+    const quiz = completedQuiz();
+    const before = quiz.getSessionSummary();
+    quiz.startReview();
+    quiz.nextReview();
+    quiz.nextReview();
+    assert.deepEqual(quiz.getSessionSummary().score, before.score);
+  });
+});
+
+// =============================================
+// Bookmarks
+// =============================================
+
+describe("bookmarks", () => {
+  it("bookmark adds an ID and emits bookmarkChange", () => {
+    const quiz = new OpenQuizzer();
+    const events = collectEvents(quiz, "bookmarkChange");
+    quiz.bookmark("m1");
+    assert.equal(quiz.isBookmarked("m1"), true);
+    assert.deepEqual(quiz.bookmarks, ["m1"]);
+    assert.deepEqual(events, [
+      { problemId: "m1", bookmarked: true, bookmarks: ["m1"] },
+    ]);
+  });
+
+  it("bookmarking twice or unbookmarking an unknown ID is a no-op", () => {
+    const quiz = new OpenQuizzer();
+    const events = collectEvents(quiz, "bookmarkChange");
+    quiz.bookmark("m1");
+    quiz.bookmark("m1");
+    quiz.unbookmark("m2");
+    assert.equal(events.length, 1);
+  });
+
+  it("unbookmark removes an ID and emits bookmarkChange", () => {
+    const quiz = new OpenQuizzer();
+    quiz.bookmark("m1");
+    quiz.bookmark("m2");
+    const events = collectEvents(quiz, "bookmarkChange");
+    quiz.unbookmark("m1");
+    assert.equal(quiz.isBookmarked("m1"), false);
+    assert.deepEqual(events, [
+      { problemId: "m1", bookmarked: false, bookmarks: ["m2"] },
+    ]);
+  });
+
+  it("ignores empty or non-string IDs", () => {
+    const quiz = new OpenQuizzer();
+    quiz.bookmark("");
+    quiz.bookmark(42);
+    quiz.bookmark(null);
+    assert.deepEqual(quiz.bookmarks, []);
+  });
+
+  it("can bookmark the current problem mid-session without affecting the answer", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    quiz.start();
+    quiz.bookmark(quiz.problem.id);
+    assert.equal(quiz.state, "practicing");
+    quiz.selectOption(0);
+    assert.equal(quiz.score.correct, 1);
+    assert.deepEqual(quiz.bookmarks, ["m1"]);
+  });
+
+  it("setBookmarks replaces the set silently and filters invalid IDs", () => {
+    const quiz = new OpenQuizzer();
+    quiz.bookmark("old");
+    const events = collectEvents(quiz, "bookmarkChange");
+    quiz.setBookmarks(["a", "", 3, "b", "a"]);
+    assert.deepEqual(quiz.bookmarks, ["a", "b"]);
+    assert.equal(events.length, 0);
+    quiz.setBookmarks("not-an-array");
+    assert.deepEqual(quiz.bookmarks, ["a", "b"]);
+  });
+
+  it("bookmarks survive reset() and loadProblems()", () => {
+    const quiz = new OpenQuizzer();
+    quiz.bookmark("m1");
+    quiz.reset();
+    quiz.loadProblems([mcProblem("m2")]);
+    assert.deepEqual(quiz.bookmarks, ["m1"]);
+  });
+
+  it("bookmarks getter returns a copy", () => {
+    const quiz = new OpenQuizzer();
+    quiz.bookmark("m1");
+    quiz.bookmarks.push("m2");
+    assert.deepEqual(quiz.bookmarks, ["m1"]);
+  });
+});
+
+// =============================================
+// Confidence capture
+// =============================================
+
+describe("confidence", () => {
+  it("setConfidence emits confidenceChange and is recorded on the answer", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    quiz.start();
+    const events = collectEvents(quiz, "confidenceChange");
+    quiz.setConfidence("high");
+    quiz.selectOption(0);
+    assert.deepEqual(events, [{ confidence: "high" }]);
+    assert.equal(quiz.answers[0].confidence, "high");
+    assert.equal(quiz.getSessionSummary().results[0].confidence, "high");
+  });
+
+  it("unrated answers have no confidence field", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    quiz.start();
+    quiz.selectOption(0);
+    assert.equal("confidence" in quiz.answers[0], false);
+    assert.equal("confidence" in quiz.getSessionSummary().results[0], false);
+  });
+
+  it("ignores unknown levels and calls outside practicing", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    const events = collectEvents(quiz, "confidenceChange");
+    quiz.setConfidence("high"); // idle
+    quiz.start();
+    quiz.setConfidence("certain");
+    assert.equal(events.length, 0);
+  });
+
+  it("cannot be changed after the answer is graded", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    quiz.start();
+    quiz.setConfidence("low");
+    quiz.selectOption(0);
+    quiz.setConfidence("high");
+    assert.equal(quiz.answers[0].confidence, "low");
+  });
+
+  it("null clears a rating before answering", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    quiz.start();
+    quiz.setConfidence("medium");
+    quiz.setConfidence(null);
+    quiz.selectOption(0);
+    assert.equal("confidence" in quiz.answers[0], false);
+  });
+
+  it("resets between questions and is not recorded on skips", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0), mcProblem("m2", 0)]);
+    quiz.start();
+    quiz.setConfidence("high");
+    quiz.skip();
+    quiz.selectOption(0);
+    assert.equal("confidence" in quiz.answers[0], false);
+    assert.equal("confidence" in quiz.answers[1], false);
+  });
+
+  it("applies to two-stage problems as a whole", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([twoStageProblem("t1")]);
+    quiz.start();
+    quiz.setConfidence("medium");
+    quiz.selectOption(quiz.problem.stages[0].correct);
+    quiz.selectOption(quiz.problem.stages[1].correct);
+    assert.equal(quiz.answers[0].confidence, "medium");
+  });
+});
+
+// =============================================
+// detailedExplanation
+// =============================================
+
+describe("detailedExplanation", () => {
+  it("included in optionSelected event when present", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      mcProblem("m1", 0, { detailedExplanation: "<p>Details here</p>" }),
+    ]);
+    quiz.start();
+    const events = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(0);
+    assert.equal(events[0].detailedExplanation, "<p>Details here</p>");
+  });
+
+  it("undefined in optionSelected event when absent", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    quiz.start();
+    const events = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(0);
+    assert.equal(events[0].detailedExplanation, undefined);
+  });
+
+  it("included in numericResult event when present", () => {
+    const quiz = new OpenQuizzer();
+    const problem = numericProblem("n1", { answer: 100, tolerance: "exact" });
+    problem.detailedExplanation = "<p>Numeric details</p>";
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const events = collectEvents(quiz, "numericResult");
+    quiz.submitNumeric("100");
+    assert.equal(events[0].detailedExplanation, "<p>Numeric details</p>");
+  });
+
+  it("included in multiSelectResult event when present", () => {
+    const quiz = new OpenQuizzer();
+    const problem = multiSelectProblem("ms1", [0, 2]);
+    problem.detailedExplanation = "<p>Multi details</p>";
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const events = collectEvents(quiz, "multiSelectResult");
+    quiz.toggleMultiSelect(0);
+    quiz.toggleMultiSelect(2);
+    quiz.submitMultiSelect();
+    assert.equal(events[0].detailedExplanation, "<p>Multi details</p>");
+  });
+
+  it("included in orderingResult event when present", () => {
+    const quiz = new OpenQuizzer();
+    const problem = orderingProblem("o1");
+    problem.detailedExplanation = "<p>Ordering details</p>";
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const events = collectEvents(quiz, "orderingResult");
+    quiz.submitOrdering();
+    assert.equal(events[0].detailedExplanation, "<p>Ordering details</p>");
+  });
+
+  it("included in two-stage final optionSelected via stage", () => {
+    const quiz = new OpenQuizzer();
+    const problem = twoStageProblem("ts1");
     problem.stages[1].detailedExplanation = "<p>Stage 2 details</p>";
     quiz.loadProblems([problem]);
     quiz.start();
     const events = collectEvents(quiz, "optionSelected");
-    quiz.selectOption(0); // stage 1
-    quiz.selectOption(1); // stage 2 (final)
-    assert.equal(events[0].detailedExplanation, "<p>Stage 2 details</p>");
+    quiz.selectOption(0); // stage 1
+    quiz.selectOption(1); // stage 2 (final)
+    assert.equal(events[0].detailedExplanation, "<p>Stage 2 details</p>");
+  });
+});
+
+// =============================================
+// references
+// =============================================
+
+describe("references", () => {
+  const sampleRefs = [
+    { title: "Wikipedia", url: "https://en.wikipedia.org/wiki/Test" },
+    { title: "Khan Academy", url: "https://www.khanacademy.org/test" },
+  ];
+
+  it("included in optionSelected event when present", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0, { references: sampleRefs })]);
+    quiz.start();
+    const events = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(0);
+    assert.deepEqual(events[0].references, sampleRefs);
+  });
+
+  it("undefined in optionSelected event when absent", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    quiz.start();
+    const events = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(0);
+    assert.equal(events[0].references, undefined);
+  });
+
+  it("included in numericResult event when present", () => {
+    const quiz = new OpenQuizzer();
+    const problem = numericProblem("n1", { answer: 100, tolerance: "exact" });
+    problem.references = sampleRefs;
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const events = collectEvents(quiz, "numericResult");
+    quiz.submitNumeric("100");
+    assert.deepEqual(events[0].references, sampleRefs);
+  });
+
+  it("included in multiSelectResult event when present", () => {
+    const quiz = new OpenQuizzer();
+    const problem = multiSelectProblem("ms1", [0, 2]);
+    problem.references = sampleRefs;
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const events = collectEvents(quiz, "multiSelectResult");
+    quiz.toggleMultiSelect(0);
+    quiz.toggleMultiSelect(2);
+    quiz.submitMultiSelect();
+    assert.deepEqual(events[0].references, sampleRefs);
+  });
+
+  it("included in orderingResult event when present", () => {
+    const quiz = new OpenQuizzer();
+    const problem = orderingProblem("o1");
+    problem.references = sampleRefs;
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const events = collectEvents(quiz, "orderingResult");
+    quiz.submitOrdering();
+    assert.deepEqual(events[0].references, sampleRefs);
+  });
+
+  it("included in two-stage final optionSelected via stage", () => {
+    const quiz = new OpenQuizzer();
+    const problem = twoStageProblem("ts1");
+    problem.stages[1].references = sampleRefs;
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const events = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(0); // stage 1
+    quiz.selectOption(1); // stage 2 (final)
+    assert.deepEqual(events[0].references, sampleRefs);
+  });
+
+  it("two-stage falls back to problem-level references when stage has none", () => {
+    const quiz = new OpenQuizzer();
+    const problem = twoStageProblem("ts1");
+    // Set problem-level references but no stage-level references
+    problem.references = sampleRefs;
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const events = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(0); // stage 1
+    quiz.selectOption(1); // stage 2 (final)
+    assert.deepEqual(events[0].references, sampleRefs);
+  });
+});
+
+// =============================================
+// Distractor feedback
+// =============================================
+
+describe("distractor feedback", () => {
+  function withFeedback(options) {
+    return options.map((text, i) =>
+      i === 0 ? text : { text, feedback: `Why not ${text}` },
+    );
+  }
+
+  it("normalizes object options to strings plus optionFeedback", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      { ...mcProblem("m1"), options: withFeedback(["A", "B", "C"]) },
+    ]);
+    const shown = collectEvents(quiz, "questionShow");
+    quiz.start();
+    assert.deepEqual(shown[0].problem.options, ["A", "B", "C"]);
+    assert.deepEqual(shown[0].problem.optionFeedback, [
+      null,
+      "Why not B",
+      "Why not C",
+    ]);
+    assert.deepEqual(quiz.problem.options, ["A", "B", "C"]);
+  });
+
+  it("leaves string-only problems unchanged", () => {
+    const quiz = new OpenQuizzer();
+    const problem = mcProblem("m1");
+    quiz.loadProblems([problem]);
+    quiz.start();
+    assert.equal(quiz.problem, problem);
+  });
+
+  it("multiple choice: includes the chosen wrong option's feedback", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      { ...mcProblem("m1", 1), options: withFeedback(["A", "B", "C"]) },
+    ]);
+    quiz.start();
+    const events = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(2);
+    assert.equal(events[0].correct, false);
+    assert.equal(events[0].feedback, "Why not C");
+  });
+
+  it("multiple choice: no feedback for a correct choice or a plain option", () => {
+    const correctQuiz = new OpenQuizzer();
+    correctQuiz.loadProblems([
+      { ...mcProblem("m1", 1), options: withFeedback(["A", "B", "C"]) },
+    ]);
+    correctQuiz.start();
+    const correctEvents = collectEvents(correctQuiz, "optionSelected");
+    correctQuiz.selectOption(1);
+    assert.equal(correctEvents[0].feedback, null);
+
+    const plainQuiz = new OpenQuizzer();
+    plainQuiz.loadProblems([
+      { ...mcProblem("m1", 1), options: withFeedback(["A", "B", "C"]) },
+    ]);
+    plainQuiz.start();
+    const plainEvents = collectEvents(plainQuiz, "optionSelected");
+    plainQuiz.selectOption(0);
+    assert.equal(plainEvents[0].feedback, null);
+  });
+
+  it("multi-select: lists feedback for each wrongly selected option", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      {
+        ...multiSelectProblem("ms1", [0, 2]),
+        options: withFeedback(["A", "B", "C", "D"]),
+      },
+    ]);
+    quiz.start();
+    const events = collectEvents(quiz, "multiSelectResult");
+    quiz.toggleMultiSelect(0);
+    quiz.toggleMultiSelect(1);
+    quiz.toggleMultiSelect(2);
+    quiz.toggleMultiSelect(3);
+    quiz.submitMultiSelect();
+    assert.deepEqual(events[0].feedback, [
+      { index: 1, feedback: "Why not B" },
+      { index: 3, feedback: "Why not D" },
+    ]);
+  });
+
+  it("stages: feedback on stageAdvance and the final optionSelected", () => {
+    const problem = twoStageProblem("ts1");
+    problem.stages[0].options = [
+      "X",
+      { text: "Y", feedback: "Y ignores the cache" },
+    ];
+    problem.stages[1].options = [
+      { text: "P", feedback: "P double-counts" },
+      "Q",
+    ];
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([problem]);
+    quiz.start();
+    const advances = collectEvents(quiz, "stageAdvance");
+    const finals = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(1);
+    assert.equal(advances[0].stageResult.feedback, "Y ignores the cache");
+    assert.equal(advances[0].nextStage.previousAnswer, "Y");
+    assert.deepEqual(advances[0].nextStage.options, ["P", "Q"]);
+    quiz.selectOption(0);
+    assert.equal(finals[0].feedback, "P double-counts");
+  });
+
+  it("review shows normalized options", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([
+      { ...mcProblem("m1", 1), options: withFeedback(["A", "B", "C"]) },
+    ]);
+    quiz.start();
+    quiz.selectOption(2);
+    quiz.next();
+    const reviews = collectEvents(quiz, "reviewShow");
+    quiz.startReview();
+    assert.deepEqual(reviews[0].problem.options, ["A", "B", "C"]);
+  });
+});
+
+// =============================================
+// Option shuffling
+// =============================================
+
+describe("option shuffling", () => {
+  // Seed 4 shuffles four options to [1,2,3,0]
+  function startShuffled(problem, options = { shuffleOptions: true }) {
+    const quiz = new OpenQuizzer({ ...options, seed: 4 });
+    quiz.loadProblems([problem]);
+    const shown = collectEvents(quiz, "questionShow");
+    quiz.start();
+    return { quiz, optionOrder: shown[0].optionOrder };
+  }
+
+  it("keeps authored order by default", () => {
+    const { optionOrder } = startShuffled(mcProblem("m1"), {});
+    assert.deepEqual(optionOrder, [0, 1, 2, 3]);
+  });
+
+  it("shuffles options and exposes the display → original mapping", () => {
+    const { optionOrder } = startShuffled(mcProblem("m1"));
+    assert.deepEqual(optionOrder, [1, 2, 3, 0]);
+  });
+
+  it("selectOption takes a display index; events and records use originals", () => {
+    const { quiz, optionOrder } = startShuffled(mcProblem("m1", 1));
+    const events = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(optionOrder.indexOf(1));
+    assert.equal(events[0].index, 1);
+    assert.equal(events[0].correct, true);
+    assert.equal(events[0].correctIndex, 1);
+    assert.equal(quiz.answers[0].selected, 1);
+  });
+
+  it("a wrong display choice is recorded by its original index", () => {
+    const { quiz } = startShuffled(mcProblem("m1", 1));
+    const events = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(1); // display 1 shows original option 2
+    assert.equal(events[0].index, 2);
+    assert.equal(events[0].correct, false);
+    assert.equal(quiz.answers[0].selected, 2);
+  });
+
+  it("toggleMultiSelect takes display indices; results use originals", () => {
+    const { quiz, optionOrder } = startShuffled(multiSelectProblem("ms1"));
+    const toggles = collectEvents(quiz, "multiSelectToggle");
+    const results = collectEvents(quiz, "multiSelectResult");
+    quiz.toggleMultiSelect(optionOrder.indexOf(0));
+    quiz.toggleMultiSelect(optionOrder.indexOf(2));
+    assert.deepEqual(
+      toggles.map((t) => t.index),
+      [0, 2],
+    );
+    quiz.submitMultiSelect();
+    assert.deepEqual(results[0].selected, [0, 2]);
+    assert.equal(results[0].correct, true);
+    assert.deepEqual(quiz.answers[0].selected, [0, 2]);
+  });
+
+  it("pinned options keep their authored position", () => {
+    const problem = {
+      ...mcProblem("m1"),
+      options: ["A", "B", "C", { text: "All of the above", pin: true }],
+    };
+    const { quiz, optionOrder } = startShuffled(problem);
+    assert.deepEqual(optionOrder, [1, 2, 0, 3]);
+    assert.equal(quiz.problem.options[3], "All of the above");
+  });
+
+  it("a problem can opt out or in with its own shuffleOptions", () => {
+    const optOut = startShuffled({ ...mcProblem("m1"), shuffleOptions: false });
+    assert.deepEqual(optOut.optionOrder, [0, 1, 2, 3]);
+    const optIn = startShuffled(
+      { ...mcProblem("m1"), shuffleOptions: true },
+      {},
+    );
+    assert.deepEqual(optIn.optionOrder, [1, 2, 3, 0]);
+  });
+
+  it("does not apply to other types", () => {
+    const { optionOrder } = startShuffled(twoStageProblem("ts1"));
+    assert.equal(optionOrder, undefined);
+  });
+
+  it("resume keeps the shuffled order of an unanswered question", () => {
+    const { quiz, optionOrder } = startShuffled(mcProblem("m1"));
+    const snapshot = quiz.getSnapshot();
+    assert.deepEqual(snapshot.optionOrder, optionOrder);
+
+    const restored = new OpenQuizzer({ shuffleOptions: true });
+    restored.restoreSession(snapshot);
+    const shown = collectEvents(restored, "questionShow");
+    restored.resume();
+    assert.deepEqual(shown[0].optionOrder, optionOrder);
+  });
+});
+
+// =============================================
+// Seeded sessions
+// =============================================
+
+describe("seeded sessions", () => {
+  const problems = Array.from({ length: 8 }, (_, i) => mcProblem(`m${i}`));
+
+  function playOrder(quiz) {
+    const ids = [];
+    const orders = [];
+    quiz.on("questionShow", ({ problem, optionOrder }) => {
+      ids.push(problem.id);
+      orders.push(optionOrder);
+    });
+    quiz.start();
+    while (quiz.state === "practicing") {
+      quiz.selectOption(0);
+      quiz.next();
+    }
+    return { ids, orders };
+  }
+
+  function seededRun(seed, options = {}) {
+    const quiz = new OpenQuizzer({ shuffleOptions: true, ...options });
+    quiz.loadProblems(problems, 0, {}, null, seed);
+    return { quiz, ...playOrder(quiz) };
+  }
+
+  it("the same seed replays the same problem and option order", () => {
+    const first = seededRun(42);
+    const second = seededRun(42);
+    assert.deepEqual(second.ids, first.ids);
+    assert.deepEqual(second.orders, first.orders);
+    assert.notDeepEqual(seededRun(43).ids, first.ids);
+  });
+
+  it("accepts string seeds", () => {
+    assert.deepEqual(seededRun("team-drill").ids, seededRun("team-drill").ids);
+  });
+
+  it("a seed pins down an exact sequence", () => {
+    assert.deepEqual(seededRun(7).ids, [
+      "m3",
+      "m6",
+      "m7",
+      "m4",
+      "m2",
+      "m1",
+      "m5",
+      "m0",
+    ]);
+  });
+
+  it("falls back to the constructor seed", () => {
+    const quiz = new OpenQuizzer({ shuffleOptions: true, seed: 42 });
+    quiz.loadProblems(problems);
+    assert.deepEqual(playOrder(quiz).ids, seededRun(42).ids);
+    assert.equal(quiz.getSessionSummary().seed, 42);
+  });
+
+  it("records the seed in the summary and snapshot", () => {
+    const { quiz } = seededRun("abc");
+    assert.equal(quiz.getSessionSummary().seed, "abc");
+    assert.equal(quiz.getSnapshot().seed, "abc");
+  });
+
+  it("unseeded sessions record a generated seed that replays them", () => {
+    const quiz = new OpenQuizzer({ shuffleOptions: true });
+    quiz.loadProblems(problems);
+    const { ids, orders } = playOrder(quiz);
+    const { seed } = quiz.getSessionSummary();
+    assert.ok(Number.isInteger(seed));
+    const replay = seededRun(seed);
+    assert.deepEqual(replay.ids, ids);
+    assert.deepEqual(replay.orders, orders);
+  });
+
+  it("retry draws a new seed from the old one", () => {
+    const first = seededRun(42).quiz;
+    const second = seededRun(42).quiz;
+    first.retry();
+    second.retry();
+    assert.deepEqual(first.problem, second.problem);
+    const retrySeed = first.getSessionSummary().seed;
+    assert.notEqual(retrySeed, 42);
+    assert.equal(second.getSessionSummary().seed, retrySeed);
+  });
+
+  it("resume continues the random sequence where it left off", () => {
+    const original = new OpenQuizzer({ shuffleOptions: true });
+    original.loadProblems(problems, 0, {}, null, 42);
+    const shown = collectEvents(original, "questionShow");
+    original.start();
+    original.selectOption(0);
+    const snapshot = original.getSnapshot();
+    original.next();
+
+    const restored = new OpenQuizzer({ shuffleOptions: true });
+    restored.restoreSession(snapshot);
+    const resumed = collectEvents(restored, "questionShow");
+    restored.resume();
+    assert.equal(resumed[0].problem.id, shown[1].problem.id);
+    assert.deepEqual(resumed[0].optionOrder, shown[1].optionOrder);
+    assert.equal(restored.getSessionSummary().seed, 42);
+  });
+
+  it("reset clears the recorded seed", () => {
+    const { quiz } = seededRun(42);
+    quiz.reset();
+    assert.equal(quiz.getSessionSummary().seed, null);
+  });
+});
+
+// =============================================
+// Exam mode
+// =============================================
+
+describe("exam mode", () => {
+  function startExam(problems, options = {}) {
+    const quiz = new OpenQuizzer({ mode: "exam", seed: 1, ...options });
+    quiz.loadProblems(problems);
+    quiz.start();
+    return quiz;
+  }
+
+  // Exams are shuffled too, so tests find questions by id
+  function goToId(quiz, id) {
+    for (let i = 0; quiz.problem.id !== id; i++) quiz.goTo(i);
+  }
+
+  it("saves answers without revealing them", () => {
+    const quiz = startExam([mcProblem("m1", 1), mcProblem("m2", 2)]);
+    const results = collectEvents(quiz, "optionSelected");
+    const saved = collectEvents(quiz, "examAnswer");
+    quiz.selectOption(0);
+    assert.equal(results.length, 0);
+    assert.equal(quiz.state, "practicing");
+    assert.deepEqual(saved[0], {
+      index: 0,
+      problemId: quiz.problem.id,
+      response: { selected: 0 },
+      answered: 1,
+      total: 2,
+    });
+    assert.deepEqual(quiz.answers, []);
+    assert.equal(quiz.score.total, 0);
+  });
+
+  it("answers can be changed until the exam is submitted", () => {
+    const quiz = startExam([mcProblem("m1", 1)]);
+    const saved = collectEvents(quiz, "examAnswer");
+    quiz.selectOption(0);
+    quiz.selectOption(1);
+    assert.deepEqual(
+      saved.map((e) => e.response.selected),
+      [0, 1],
+    );
+    quiz.submitExam();
+    assert.equal(quiz.answers[0].selected, 1);
+    assert.equal(quiz.answers[0].correct, true);
+  });
+
+  it("navigates freely and hands back saved answers", () => {
+    const quiz = startExam([mcProblem("m1"), mcProblem("m2"), mcProblem("m3")]);
+    const shows = collectEvents(quiz, "questionShow");
+    const first = quiz.problem.id;
+    quiz.selectOption(2);
+    quiz.next();
+    quiz.next();
+    assert.equal(quiz.progress.current, 3);
+    quiz.next(); // already at the last question
+    assert.equal(quiz.progress.current, 3);
+    quiz.goTo(0);
+    assert.equal(quiz.problem.id, first);
+    assert.deepEqual(shows.at(-1).response, { selected: 2 });
+    quiz.previous(); // already at the first question
+    quiz.goTo(7);
+    assert.equal(quiz.progress.current, 1);
+    quiz.goTo(1);
+    assert.equal(shows.at(-1).response, null);
+  });
+
+  it("flags questions to come back to", () => {
+    const quiz = startExam([mcProblem("m1"), mcProblem("m2")]);
+    const flags = collectEvents(quiz, "flagChange");
+    const shows = collectEvents(quiz, "questionShow");
+    quiz.next();
+    quiz.toggleFlag();
+    quiz.selectOption(0);
+    assert.deepEqual(flags, [{ index: 1, flagged: true }]);
+    assert.deepEqual(quiz.examStatus, [
+      { answered: false, flagged: false },
+      { answered: true, flagged: true },
+    ]);
+    quiz.previous();
+    quiz.next();
+    assert.equal(shows.at(-1).flagged, true);
+    quiz.toggleFlag();
+    assert.deepEqual(flags[1], { index: 1, flagged: false });
+  });
+
+  it("submitExam grades everything; unanswered questions are skipped", () => {
+    const quiz = startExam([mcProblem("m1", 1), mcProblem("m2", 2)]);
+    const completes = collectEvents(quiz, "complete");
+    goToId(quiz, "m1");
+    quiz.selectOption(1);
+    quiz.submitExam();
+    assert.equal(quiz.state, "complete");
+    assert.equal(completes[0].correct, 1);
+    assert.equal(completes[0].total, 1);
+    const skipped = quiz.answers.find((a) => a.problemId === "m2");
+    assert.equal(skipped.skipped, true);
+    assert.equal(completes[0].sessionSummary.mode, "exam");
+    assert.equal(completes[0].sessionSummary.score.skipped, 1);
+
+    const reviews = collectEvents(quiz, "reviewShow");
+    quiz.startReview();
+    assert.equal(reviews[0].problem.id, "m2");
+  });
+
+  it("multi-select, ordering, matching and hotspot save as they change", () => {
+    const quiz = startExam([
+      multiSelectProblem("ms1"),
+      orderingProblem("o1"),
+      matchingProblem("mt1"),
+      hotspotProblem("h1"),
+    ]);
+    const saved = collectEvents(quiz, "examAnswer");
+    const results = [
+      "multiSelectResult",
+      "orderingResult",
+      "matchingResult",
+      "hotspotResult",
+    ].map((event) => collectEvents(quiz, event));
+
+    goToId(quiz, "ms1");
+    quiz.toggleMultiSelect(0);
+    quiz.toggleMultiSelect(0); // empty again: no longer answered
+    assert.deepEqual(
+      saved.map((e) => e.response),
+      [{ selected: [0] }, null],
+    );
+    quiz.toggleMultiSelect(2);
+
+    goToId(quiz, "o1");
+    quiz.moveOrderingItem(0, 2);
+    goToId(quiz, "mt1");
+    quiz.pairMatch(0, 1);
+    goToId(quiz, "h1");
+    quiz.placeHotspot(0.2, 0.2);
+
+    assert.ok(results.every((events) => events.length === 0));
+    assert.ok(quiz.examStatus.every((status) => status.answered));
+  });
+
+  it("revisits restore in-progress answers", () => {
+    const quiz = startExam([
+      multiSelectProblem("ms1"),
+      orderingProblem("o1"),
+      matchingProblem("mt1"),
+    ]);
+    const shows = collectEvents(quiz, "questionShow");
+    const matching = collectEvents(quiz, "matchingUpdate");
+
+    goToId(quiz, "ms1");
+    goToId(quiz, "o1");
+    const shownOrder = shows.at(-1).shuffledItems.map((i) => i.originalIndex);
+    quiz.moveOrderingItem(0, 2);
+    const order = [...shownOrder.slice(1), shownOrder[0]];
+    goToId(quiz, "mt1");
+    quiz.pairMatch(0, 1);
+    goToId(quiz, "ms1");
+    quiz.toggleMultiSelect(1);
+
+    goToId(quiz, "o1");
+    assert.deepEqual(
+      shows.at(-1).shuffledItems.map((i) => i.originalIndex),
+      order,
+    );
+    goToId(quiz, "mt1");
+    assert.deepEqual(matching.at(-1).pairs, [[0, 1]]);
+    goToId(quiz, "ms1");
+    quiz.toggleMultiSelect(3);
+    quiz.submitExam();
+    const answer = quiz.answers.find((a) => a.problemId === "ms1");
+    assert.deepEqual(answer.selected, [1, 3]);
+  });
+
+  it("numeric answers are saved without a numericResult", () => {
+    const quiz = startExam([numericProblem("n1", { answer: 1000 })]);
+    const results = collectEvents(quiz, "numericResult");
+    const saved = collectEvents(quiz, "examAnswer");
+    quiz.submitNumeric("2k");
+    quiz.submitNumeric("1k");
+    assert.equal(results.length, 0);
+    assert.deepEqual(saved[1].response, { userValue: 1000 });
+    quiz.submitExam();
+    assert.equal(quiz.answers[0].correct, true);
+  });
+
+  it("staged problems hide each step's grade", () => {
+    const quiz = startExam([twoStageProblem("ts1")]);
+    const advances = collectEvents(quiz, "stageAdvance");
+    const finals = collectEvents(quiz, "optionSelected");
+    quiz.selectOption(1);
+    assert.deepEqual(advances[0].stageResult, { index: 1 });
+    quiz.selectOption(1);
+    assert.equal(finals.length, 0);
+    quiz.selectOption(0); // the path is complete until the next visit
+    quiz.submitExam();
+    assert.deepEqual(
+      quiz.answers[0].stageAnswers.map((a) => a.selected),
+      [1, 1],
+    );
+    assert.equal(quiz.answers[0].correct, false);
+  });
+
+  it("revisits keep template values and option order", () => {
+    const quiz = new OpenQuizzer({ mode: "exam", shuffleOptions: true });
+    quiz.loadProblems([templatedProblem("t1"), mcProblem("m1")]);
+    const shows = collectEvents(quiz, "questionShow");
+    quiz.start();
+    quiz.next();
+    quiz.previous();
+    quiz.next();
+    assert.deepEqual(shows[2].problem, shows[0].problem);
+    assert.deepEqual(shows[3].problem, shows[1].problem);
+    assert.deepEqual(shows[2].optionOrder, shows[0].optionOrder);
+    assert.deepEqual(shows[3].optionOrder, shows[1].optionOrder);
+  });
+
+  it("never-visited templated problems are reviewed with values", () => {
+    const quiz = startExam([templatedProblem("t1"), mcProblem("m1")]);
+    goToId(quiz, "m1");
+    quiz.selectOption(0);
+    quiz.submitExam();
+    const skipped = quiz.answers.find((a) => a.problemId === "t1");
+    assert.ok(Number.isFinite(skipped.values.qps));
+  });
+
+  it("snapshot keeps position, saved answers and flags", () => {
+    const problems = [mcProblem("m1", 1), mcProblem("m2", 2)];
+    const quiz = startExam(problems);
+    goToId(quiz, "m2");
+    quiz.selectOption(2);
+    quiz.toggleFlag();
+    const position = quiz.progress.current;
+
+    const restored = new OpenQuizzer({ mode: "exam" });
+    restored.restoreSession(quiz.getSnapshot());
+    const shows = collectEvents(restored, "questionShow");
+    restored.resume();
+    assert.equal(restored.progress.current, position);
+    assert.deepEqual(shows[0].response, { selected: 2 });
+    assert.equal(shows[0].flagged, true);
+    restored.submitExam();
+    assert.equal(restored.score.correct, 1);
+  });
+
+  it("skip and timeout do nothing; unanswered counts as skipped", () => {
+    const quiz = startExam([mcProblem("m1"), mcProblem("m2")]);
+    quiz.skip();
+    quiz.timeout();
+    assert.equal(quiz.progress.current, 1);
+    assert.deepEqual(quiz.answers, []);
+  });
+
+  it("exam controls do nothing in practice mode", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1"), mcProblem("m2")]);
+    quiz.start();
+    quiz.goTo(1);
+    quiz.toggleFlag();
+    quiz.submitExam();
+    assert.equal(quiz.progress.current, 1);
+    assert.equal(quiz.state, "practicing");
+    assert.equal(quiz.examStatus, null);
+    assert.equal(quiz.mode, "practice");
+  });
+});
+
+// =============================================
+// Session time limit
+// =============================================
+
+describe("session time limit", () => {
+  // Mock timers drive both the tick interval and Date.now()
+  function timedQuiz(t, problems, options = {}) {
+    t.mock.timers.enable({ apis: ["setInterval", "Date"], now: 0 });
+    const quiz = new OpenQuizzer({ seed: 1, sessionTimeLimit: 5, ...options });
+    quiz.loadProblems(problems);
+    return quiz;
+  }
+
+  it("ticks down each second from start", (t) => {
+    const quiz = timedQuiz(t, [mcProblem("m1"), mcProblem("m2")]);
+    const ticks = collectEvents(quiz, "sessionTick");
+    quiz.start();
+    for (let i = 0; i < 3; i++) t.mock.timers.tick(1000);
+    assert.deepEqual(
+      ticks.map((e) => e.remaining),
+      [5, 4, 3, 2],
+    );
+    assert.equal(ticks[0].limit, 5);
+  });
+
+  it("times out every remaining problem when the clock runs out", (t) => {
+    const quiz = timedQuiz(t, [
+      mcProblem("m1"),
+      mcProblem("m2"),
+      mcProblem("m3"),
+    ]);
+    const timeouts = collectEvents(quiz, "sessionTimeout");
+    const completes = collectEvents(quiz, "complete");
+    quiz.start();
+    quiz.selectOption(1);
+    quiz.next();
+    t.mock.timers.tick(5000);
+    assert.deepEqual(timeouts, [{ timedOut: 2, total: 3 }]);
+    assert.equal(quiz.state, "complete");
+    assert.equal(completes.length, 1);
+    const { score, results, sessionTimeLimit } = completes[0].sessionSummary;
+    assert.equal(score.correct, 1);
+    assert.equal(score.timedOut, 2);
+    assert.deepEqual(
+      results.map((r) => r.timedOut ?? false),
+      [false, true, true],
+    );
+    assert.equal(sessionTimeLimit, 5);
+  });
+
+  it("untimed sessions never tick", (t) => {
+    const quiz = timedQuiz(t, [mcProblem("m1")], { sessionTimeLimit: 0 });
+    const ticks = collectEvents(quiz, "sessionTick");
+    quiz.start();
+    t.mock.timers.tick(60000);
+    assert.equal(ticks.length, 0);
+    assert.equal(quiz.state, "practicing");
+    assert.equal(quiz.getSessionSummary().sessionTimeLimit, null);
+  });
+
+  it("the clock stops when the session completes or resets", (t) => {
+    const quiz = timedQuiz(t, [mcProblem("m1")]);
+    const ticks = collectEvents(quiz, "sessionTick");
+    quiz.start();
+    quiz.selectOption(1);
+    quiz.next();
+    t.mock.timers.tick(10000);
+    assert.equal(ticks.length, 1);
+
+    quiz.retry();
+    quiz.reset();
+    t.mock.timers.tick(10000);
+    assert.equal(ticks.length, 2);
+  });
+
+  it("setSessionTimeLimit applies from the next start; retry restarts the clock", (t) => {
+    const quiz = timedQuiz(t, [mcProblem("m1"), mcProblem("m2")]);
+    const ticks = collectEvents(quiz, "sessionTick");
+    quiz.setSessionTimeLimit(60);
+    quiz.start();
+    t.mock.timers.tick(10000);
+    assert.equal(ticks.at(-1).remaining, 50);
+    quiz.retry();
+    assert.deepEqual(ticks.at(-1), { remaining: 60, limit: 60 });
+  });
+
+  it("exam mode grades saved answers and times out the rest", (t) => {
+    const quiz = timedQuiz(
+      t,
+      [mcProblem("m1"), mcProblem("m2"), mcProblem("m3")],
+      {
+        mode: "exam",
+      },
+    );
+    quiz.start();
+    quiz.selectOption(1);
+    quiz.goTo(2);
+    quiz.selectOption(0);
+    t.mock.timers.tick(5000);
+    assert.equal(quiz.state, "complete");
+    assert.deepEqual(quiz.score, {
+      ...quiz.score,
+      correct: 1,
+      total: 2,
+      timedOut: 1,
+      skipped: 0,
+    });
+    assert.equal(quiz.answers[1].timedOut, true);
+  });
+
+  it("adaptive sessions time out problems not yet served", (t) => {
+    const problems = [1, 2, 3, 4].map((n) => mcProblem(`m${n}`));
+    const quiz = timedQuiz(t, problems, { selection: "adaptive" });
+    quiz.start();
+    quiz.selectOption(1);
+    quiz.next();
+    t.mock.timers.tick(5000);
+    const ids = quiz.answers.map((a) => a.problemId);
+    assert.equal(new Set(ids).size, 4);
+    assert.equal(quiz.score.timedOut, 3);
+  });
+
+  it("timed-out templated problems keep values to review against", (t) => {
+    const quiz = timedQuiz(t, [templatedProblem("t1"), templatedProblem("t2")]);
+    quiz.start();
+    const shown = quiz.getSnapshot().templateValues;
+    t.mock.timers.tick(5000);
+    assert.deepEqual(quiz.answers[0].values, shown);
+    assert.ok(quiz.answers[1].values);
+  });
+
+  it("a restored session pauses the clock until resume()", (t) => {
+    const quiz = timedQuiz(t, [mcProblem("m1"), mcProblem("m2")], {
+      sessionTimeLimit: 10,
+    });
+    quiz.start();
+    t.mock.timers.tick(2000);
+    const snapshot = quiz.getSnapshot();
+    quiz.reset();
+    assert.equal(snapshot.sessionTimeLimit, 10);
+    assert.equal(snapshot.sessionTimeLeft, 8);
+
+    const restored = new OpenQuizzer();
+    const ticks = collectEvents(restored, "sessionTick");
+    const timeouts = collectEvents(restored, "sessionTimeout");
+    restored.restoreSession(snapshot);
+    t.mock.timers.tick(60000);
+    assert.equal(ticks.length, 0);
+    restored.resume();
+    assert.deepEqual(ticks[0], { remaining: 8, limit: 10 });
+    t.mock.timers.tick(8000);
+    assert.deepEqual(timeouts, [{ timedOut: 2, total: 2 }]);
+  });
+
+  it("retry after a restore keeps the snapshot's limit", (t) => {
+    const quiz = timedQuiz(t, [mcProblem("m1"), mcProblem("m2")], {
+      sessionTimeLimit: 10,
+    });
+    quiz.start();
+    const snapshot = quiz.getSnapshot();
+    quiz.reset();
+
+    const restored = new OpenQuizzer({ sessionTimeLimit: 60 });
+    const ticks = collectEvents(restored, "sessionTick");
+    restored.restoreSession(snapshot);
+    restored.resume();
+    restored.selectOption(1);
+    restored.next();
+    restored.selectOption(1);
+    restored.next();
+    restored.retry();
+    assert.deepEqual(ticks.at(-1), { remaining: 10, limit: 10 });
+  });
+});
+
+// =============================================
+// Hints
+// =============================================
+
+describe("hints", () => {
+  function hintedProblem(id, correct = 1) {
+    return { ...mcProblem(id, correct), hints: ["First hint", "Second hint"] };
+  }
+
+  function startQuiz(problems, options = {}) {
+    const quiz = new OpenQuizzer({ seed: 1, ...options });
+    quiz.loadProblems(problems);
+    quiz.start();
+    return quiz;
+  }
+
+  it("reveals hints in order until none are left", () => {
+    const quiz = startQuiz([hintedProblem("h1")]);
+    const shown = collectEvents(quiz, "hintShown");
+    quiz.requestHint();
+    quiz.requestHint();
+    quiz.requestHint();
+    assert.deepEqual(shown, [
+      {
+        index: 0,
+        hint: "First hint",
+        hintsUsed: 1,
+        remaining: 1,
+        penalty: 0.25,
+      },
+      {
+        index: 1,
+        hint: "Second hint",
+        hintsUsed: 2,
+        remaining: 0,
+        penalty: 0.5,
+      },
+    ]);
+  });
+
+  it("records hints used and takes the penalty off the credit", () => {
+    const quiz = startQuiz([hintedProblem("h1")]);
+    assert.equal(quiz.hintPenalty, 0.25);
+    quiz.requestHint();
+    quiz.requestHint();
+    quiz.selectOption(1);
+    assert.deepEqual(quiz.answers[0], {
+      problemId: "h1",
+      selected: 1,
+      correct: true,
+      credit: 0.5,
+      hintsUsed: 2,
+    });
+    assert.equal(quiz.score.correct, 1);
+    assert.equal(quiz.score.credit, 0.5);
+    assert.equal(quiz.getSessionSummary().results[0].hintsUsed, 2);
   });
-});
-
-// =============================================
-// references
-// =============================================
 
-describe("references", () => {
-  const sampleRefs = [
-    { title: "Wikipedia", url: "https://en.wikipedia.org/wiki/Test" },
-    { title: "Khan Academy", url: "https://www.khanacademy.org/test" },
-  ];
+  it("hintPenalty is configurable and credit never drops below 0", () => {
+    const quiz = startQuiz([hintedProblem("h1")], { hintPenalty: 0.6 });
+    assert.equal(quiz.hintPenalty, 0.6);
+    quiz.requestHint();
+    quiz.requestHint();
+    quiz.selectOption(1);
+    assert.equal(quiz.answers[0].credit, 0);
+    assert.equal(quiz.answers[0].correct, true);
+  });
 
-  it("included in optionSelected event when present", () => {
-    const quiz = new OpenQuizzer();
-    quiz.loadProblems([mcProblem("m1", 0, { references: sampleRefs })]);
-    quiz.start();
-    const events = collectEvents(quiz, "optionSelected");
-    quiz.selectOption(0);
-    assert.deepEqual(events[0].references, sampleRefs);
+  it("the penalty applies to partial credit and reported credit", () => {
+    const problem = { ...multiSelectProblem("s1"), hints: ["Two apply"] };
+    const quiz = startQuiz([problem], { scoring: "partial" });
+    const results = collectEvents(quiz, "multiSelectResult");
+    quiz.requestHint();
+    quiz.toggleMultiSelect(quiz.problem.options.indexOf("A"));
+    quiz.submitMultiSelect();
+    assert.equal(results[0].credit, 0.25);
+    assert.equal(quiz.answers[0].credit, 0.25);
   });
 
-  it("undefined in optionSelected event when absent", () => {
-    const quiz = new OpenQuizzer();
-    quiz.loadProblems([mcProblem("m1", 0)]);
-    quiz.start();
-    const events = collectEvents(quiz, "optionSelected");
-    quiz.selectOption(0);
-    assert.equal(events[0].references, undefined);
+  it("no hints once answered, or for problems without any", () => {
+    const quiz = startQuiz([hintedProblem("h1")]);
+    const shown = collectEvents(quiz, "hintShown");
+    quiz.selectOption(1);
+    quiz.requestHint();
+    assert.equal(shown.length, 0);
+    assert.equal("hintsUsed" in quiz.answers[0], false);
+    assert.equal(quiz.answers[0].credit, 1);
+
+    const plain = startQuiz([mcProblem("m1")]);
+    const plainShown = collectEvents(plain, "hintShown");
+    plain.requestHint();
+    assert.equal(plainShown.length, 0);
   });
 
-  it("included in numericResult event when present", () => {
-    const quiz = new OpenQuizzer();
-    const problem = numericProblem("n1", { answer: 100, tolerance: "exact" });
-    problem.references = sampleRefs;
-    quiz.loadProblems([problem]);
-    quiz.start();
-    const events = collectEvents(quiz, "numericResult");
-    quiz.submitNumeric("100");
-    assert.deepEqual(events[0].references, sampleRefs);
+  it("the hint count starts over on each question", () => {
+    const quiz = startQuiz([hintedProblem("h1"), hintedProblem("h2")]);
+    const shows = collectEvents(quiz, "questionShow");
+    quiz.requestHint();
+    quiz.selectOption(1);
+    quiz.next();
+    assert.equal(shows[0].hintsUsed, 0);
+    quiz.selectOption(1);
+    assert.equal(quiz.answers[1].credit, 1);
   });
 
-  it("included in multiSelectResult event when present", () => {
-    const quiz = new OpenQuizzer();
-    const problem = multiSelectProblem("ms1", [0, 2]);
-    problem.references = sampleRefs;
-    quiz.loadProblems([problem]);
-    quiz.start();
-    const events = collectEvents(quiz, "multiSelectResult");
-    quiz.toggleMultiSelect(0);
-    quiz.toggleMultiSelect(2);
-    quiz.submitMultiSelect();
-    assert.deepEqual(events[0].references, sampleRefs);
+  it("exams have no hints", () => {
+    const quiz = startQuiz([hintedProblem("h1")], { mode: "exam" });
+    const shown = collectEvents(quiz, "hintShown");
+    quiz.requestHint();
+    assert.equal(shown.length, 0);
   });
 
-  it("included in orderingResult event when present", () => {
-    const quiz = new OpenQuizzer();
-    const problem = orderingProblem("o1");
-    problem.references = sampleRefs;
-    quiz.loadProblems([problem]);
-    quiz.start();
-    const events = collectEvents(quiz, "orderingResult");
-    quiz.submitOrdering();
-    assert.deepEqual(events[0].references, sampleRefs);
+  it("templated hints show the generated values", () => {
+    const problem = {
+      ...templatedProblem("t1"),
+      hints: ["Multiply {{qps}} by {{payloadKB}}"],
+    };
+    const quiz = startQuiz([problem]);
+    const shown = collectEvents(quiz, "hintShown");
+    quiz.requestHint();
+    const { qps, payloadKB } = quiz.getSnapshot().templateValues;
+    assert.equal(shown[0].hint, `Multiply ${qps} by ${payloadKB}`);
   });
 
-  it("included in two-stage final optionSelected via stage", () => {
-    const quiz = new OpenQuizzer();
-    const problem = twoStageProblem("ts1");
-    problem.stages[1].references = sampleRefs;
-    quiz.loadProblems([problem]);
-    quiz.start();
-    const events = collectEvents(quiz, "optionSelected");
-    quiz.selectOption(0); // stage 1
-    quiz.selectOption(1); // stage 2 (final)
-    assert.deepEqual(events[0].references, sampleRefs);
+  it("retry after a restore starts without the restored state", () => {
+    const problem = { ...templatedProblem("t1"), hints: ["A hint"] };
+    const quiz = startQuiz([problem]);
+    quiz.requestHint();
+    const snapshot = quiz.getSnapshot();
+
+    const restored = new OpenQuizzer({ seed: 1 });
+    const shows = collectEvents(restored, "questionShow");
+    restored.restoreSession(snapshot);
+    restored.retry();
+    assert.equal(shows[0].hintsUsed, 0);
+    // Values come from the retry's own seed, not the snapshot
+    assert.notDeepEqual(
+      restored.getSnapshot().templateValues,
+      snapshot.templateValues,
+    );
   });
 
-  it("two-stage falls back to problem-level references when stage has none", () => {
-    const quiz = new OpenQuizzer();
-    const problem = twoStageProblem("ts1");
-    // Set problem-level references but no stage-level references
-    problem.references = sampleRefs;
-    quiz.loadProblems([problem]);
-    quiz.start();
-    const events = collectEvents(quiz, "optionSelected");
-    quiz.selectOption(0); // stage 1
-    quiz.selectOption(1); // stage 2 (final)
-    assert.deepEqual(events[0].references, sampleRefs);
+  it("a resumed question keeps the hints already revealed", () => {
+    const quiz = startQuiz([hintedProblem("h1"), hintedProblem("h2")]);
+    quiz.requestHint();
+    const snapshot = quiz.getSnapshot();
+    assert.equal(snapshot.hintsUsed, 1);
+
+    const restored = new OpenQuizzer();
+    const shows = collectEvents(restored, "questionShow");
+    const shown = collectEvents(restored, "hintShown");
+    restored.restoreSession(snapshot);
+    restored.resume();
+    assert.equal(shows[0].hintsUsed, 1);
+    restored.requestHint();
+    assert.equal(shown[0].index, 1);
+    restored.selectOption(1);
+    assert.equal(restored.answers[0].hintsUsed, 2);
   });
 });
 
@@ -1046,6 +3868,7 @@ describe("getters", () => {
       percentage: 100,
       skipped: 0,
       timedOut: 0,
+      credit: 5,
     });
     assert.equal(summary.results.length, 5);
 
@@ -1076,6 +3899,7 @@ describe("getters", () => {
       percentage: 100,
       skipped: 0,
       timedOut: 0,
+      credit: 1,
     });
     assert.equal(summary.results.length, 1);
     assert.equal(summary.results[0].id, firstProblem.id);
@@ -1094,6 +3918,7 @@ describe("getters", () => {
       percentage: 0,
       skipped: 0,
       timedOut: 0,
+      credit: 0,
     });
     assert.deepEqual(summary.results, []);
   });
@@ -1107,6 +3932,7 @@ describe("getters", () => {
       percentage: 0,
       skipped: 0,
       timedOut: 0,
+      credit: 0,
     });
     assert.deepEqual(summary.results, []);
     assert.ok(!Number.isNaN(Date.parse(summary.timestamp)));
@@ -2139,6 +4965,33 @@ describe("updateProblemTracking", () => {
     });
   });
 
+  it("counts correct answers reached with hints", () => {
+    const tracking = updateProblemTracking(
+      null,
+      makeTrackingSummary([
+        { id: "m1", correct: true, hintsUsed: 1 },
+        { id: "m2", correct: false, hintsUsed: 2 },
+        { id: "m3", correct: true },
+      ]),
+    );
+    assert.equal(tracking.m1.hintedCorrect, 1);
+    assert.equal(tracking.m2.hintedCorrect, undefined);
+    assert.equal(tracking.m3.hintedCorrect, undefined);
+  });
+
+  it("flags a confidently wrong latest answer and clears it later", () => {
+    const wrong = updateProblemTracking(
+      null,
+      makeTrackingSummary([{ id: "m1", confidence: "high", correct: false }]),
+    );
+    assert.equal(wrong.m1.confidentlyWrong, true);
+    const lowWrong = updateProblemTracking(
+      wrong,
+      makeTrackingSummary([{ id: "m1", confidence: "low", correct: false }]),
+    );
+    assert.equal("confidentlyWrong" in lowWrong.m1, false);
+  });
+
   it("increments existing entries correctly", () => {
     const existing = {
       m1: { seen: 2, correct: 1, lastSeen: "2025-05-01T00:00:00.000Z" },
@@ -2208,6 +5061,157 @@ describe("updateProblemTracking", () => {
 // computeAggregateStats — timedOut
 // =============================================
 
+describe("computeAggregateStats calibration", () => {
+  function rated(id, confidence, correct, tags = []) {
+    return { id, confidence, correct, tags };
+  }
+
+  it("reports accuracy per confidence level, overconfidence and Brier score", () => {
+    const stats = computeAggregateStats([
+      {
+        timestamp: "2025-06-01T12:00:00.000Z",
+        score: { correct: 3, total: 5, percentage: 60 },
+        results: [
+          rated("a", "high", true),
+          rated("b", "high", false, ["caching"]),
+          rated("c", "low", false),
+          rated("d", "medium", true),
+          { id: "e", correct: true, tags: [] }, // unrated
+        ],
+      },
+    ]);
+    const { calibration } = stats;
+    assert.equal(calibration.rated, 4);
+    assert.deepEqual(calibration.byConfidence.high, {
+      correct: 1,
+      total: 2,
+      percentage: 50,
+    });
+    assert.equal(calibration.overconfidenceRate, 50);
+    // (0.9−1)² + (0.9−0)² + (0.25−0)² + (0.6−1)² = 0.01 + 0.81 + 0.0625 + 0.16
+    assert.equal(calibration.brierScore, 0.261);
+    assert.deepEqual(calibration.overconfidentTags, [
+      { tag: "caching", count: 1 },
+    ]);
+  });
+
+  it("is empty when nothing was rated", () => {
+    const stats = computeAggregateStats([
+      {
+        timestamp: "2025-06-01T12:00:00.000Z",
+        score: { correct: 1, total: 1, percentage: 100 },
+        results: [{ id: "a", correct: true, tags: [] }],
+      },
+    ]);
+    assert.deepEqual(stats.calibration, {
+      rated: 0,
+      byConfidence: {},
+      overconfidenceRate: 0,
+      brierScore: null,
+      overconfidentTags: [],
+    });
+  });
+
+  it("ignores skipped and timed-out results", () => {
+    const stats = computeAggregateStats([
+      {
+        timestamp: "2025-06-01T12:00:00.000Z",
+        score: { correct: 0, total: 0, percentage: 0, skipped: 1 },
+        results: [{ ...rated("a", "high", false), skipped: true }],
+      },
+    ]);
+    assert.equal(stats.calibration.rated, 0);
+  });
+});
+
+describe("computeAggregateStats estimation bias", () => {
+  function estimate(id, errorRatio, tags) {
+    return { id, type: "numeric-input", correct: false, errorRatio, tags };
+  }
+
+  it("reports the median error ratio per tag", () => {
+    const stats = computeAggregateStats([
+      {
+        timestamp: "2025-06-01T12:00:00.000Z",
+        score: { correct: 0, total: 4, percentage: 0 },
+        results: [
+          estimate("a", 2, ["storage"]),
+          estimate("b", 4, ["storage"]),
+          estimate("c", 100, ["storage", "latency"]),
+          estimate("d", 0.1, ["latency"]),
+        ],
+      },
+    ]);
+    assert.deepEqual(stats.estimationByTag.storage, {
+      count: 3,
+      medianErrorRatio: 4,
+    });
+    // Even counts take the geometric midpoint: between 0.1x and 100x → ~3.16x
+    assert.deepEqual(stats.estimationByTag.latency, {
+      count: 2,
+      medianErrorRatio: 3.16,
+    });
+  });
+
+  it("ignores results without an error ratio", () => {
+    const stats = computeAggregateStats([
+      {
+        timestamp: "2025-06-01T12:00:00.000Z",
+        score: { correct: 1, total: 3, percentage: 33 },
+        results: [
+          estimate("a", null, ["storage"]),
+          {
+            id: "b",
+            type: "multiple-choice",
+            correct: true,
+            tags: ["storage"],
+          },
+          { ...estimate("c", 2, ["storage"]), skipped: true },
+        ],
+      },
+    ]);
+    assert.deepEqual(stats.estimationByTag, {});
+  });
+});
+
+describe("computeAggregateStats with credit", () => {
+  it("sums fractional credit and computes creditPercentage", () => {
+    const stats = computeAggregateStats([
+      {
+        timestamp: "2025-06-01T12:00:00.000Z",
+        score: { correct: 1, total: 2, percentage: 50, credit: 1.5 },
+        results: [],
+      },
+      {
+        timestamp: "2025-06-02T12:00:00.000Z",
+        score: { correct: 2, total: 2, percentage: 100, credit: 2 },
+        results: [],
+      },
+    ]);
+    assert.equal(stats.totalCredit, 3.5);
+    assert.equal(stats.creditPercentage, 88);
+    assert.equal(stats.overallPercentage, 75);
+  });
+
+  it("treats sessions without credit as binary", () => {
+    const stats = computeAggregateStats([
+      {
+        timestamp: "2025-06-01T12:00:00.000Z",
+        score: { correct: 3, total: 4, percentage: 75 },
+        results: [],
+      },
+    ]);
+    assert.equal(stats.totalCredit, 3);
+    assert.equal(stats.creditPercentage, 75);
+  });
+
+  it("returns zero credit for no sessions", () => {
+    const stats = computeAggregateStats([]);
+    assert.equal(stats.totalCredit, 0);
+    assert.equal(stats.creditPercentage, 0);
+  });
+});
+
 describe("computeAggregateStats with timedOut", () => {
   it("tracks totalTimedOut", () => {
     const stats = computeAggregateStats([
@@ -2242,6 +5246,413 @@ describe("computeAggregateStats with timedOut", () => {
   });
 });
 
+// =============================================
+// computeStreaks
+// =============================================
+
+describe("computeStreaks", () => {
+  function session(timestamp, total = 10, correct = 8) {
+    return { timestamp, score: { correct, total } };
+  }
+  const now = new Date("2026-03-10T15:00:00Z");
+
+  it("returns zero streaks for no sessions", () => {
+    const streaks = computeStreaks([], now, "UTC");
+    assert.equal(streaks.currentStreak, 0);
+    assert.equal(streaks.longestStreak, 0);
+    assert.equal(streaks.practicedToday, false);
+    assert.equal(streaks.today, "2026-03-10");
+    assert.deepEqual(streaks.days, {});
+  });
+
+  it("counts consecutive days ending today", () => {
+    const streaks = computeStreaks(
+      [
+        session("2026-03-08T09:00:00Z"),
+        session("2026-03-09T09:00:00Z"),
+        session("2026-03-10T09:00:00Z"),
+      ],
+      now,
+      "UTC",
+    );
+    assert.equal(streaks.currentStreak, 3);
+    assert.equal(streaks.longestStreak, 3);
+    assert.equal(streaks.practicedToday, true);
+  });
+
+  it("keeps yesterday's streak alive until today ends", () => {
+    const streaks = computeStreaks(
+      [session("2026-03-08T09:00:00Z"), session("2026-03-09T09:00:00Z")],
+      now,
+      "UTC",
+    );
+    assert.equal(streaks.currentStreak, 2);
+    assert.equal(streaks.practicedToday, false);
+  });
+
+  it("a missed day breaks the current streak but not the longest", () => {
+    const streaks = computeStreaks(
+      [
+        session("2026-03-01T09:00:00Z"),
+        session("2026-03-02T09:00:00Z"),
+        session("2026-03-03T09:00:00Z"),
+        session("2026-03-10T09:00:00Z"),
+      ],
+      now,
+      "UTC",
+    );
+    assert.equal(streaks.currentStreak, 1);
+    assert.equal(streaks.longestStreak, 3);
+  });
+
+  it("aggregates sessions per day into the activity map", () => {
+    const streaks = computeStreaks(
+      [
+        session("2026-03-10T08:00:00Z", 5, 4),
+        session("2026-03-10T12:00:00Z", 3, 1),
+      ],
+      now,
+      "UTC",
+    );
+    assert.deepEqual(streaks.days["2026-03-10"], {
+      sessions: 2,
+      questions: 8,
+      correct: 5,
+      practiced: true,
+    });
+  });
+
+  it("buckets days by the given timezone", () => {
+    // 02:00 UTC on Mar 10 is still Mar 9 in New York
+    const sessions = [session("2026-03-10T02:00:00Z")];
+    assert.ok(computeStreaks(sessions, now, "UTC").days["2026-03-10"]);
+    assert.ok(
+      computeStreaks(sessions, now, "America/New_York").days["2026-03-09"],
+    );
+  });
+
+  it("falls back to local time for an unknown timezone", () => {
+    const streaks = computeStreaks(
+      [session("2026-03-10T12:00:00Z")],
+      now,
+      "Not/AZone",
+    );
+    assert.equal(Object.keys(streaks.days).length, 1);
+  });
+
+  it("days below minQuestions don't count toward streaks", () => {
+    const streaks = computeStreaks(
+      [
+        session("2026-03-09T09:00:00Z", 10),
+        session("2026-03-10T09:00:00Z", 4),
+        session("2026-03-10T10:00:00Z", 4),
+      ],
+      now,
+      "UTC",
+      { minQuestions: 10 },
+    );
+    assert.equal(streaks.days["2026-03-10"].practiced, false);
+    assert.equal(streaks.practicedToday, false);
+    assert.equal(streaks.currentStreak, 1);
+  });
+
+  it("supports a minimum number of sessions per day", () => {
+    const streaks = computeStreaks(
+      [session("2026-03-10T09:00:00Z")],
+      now,
+      "UTC",
+      { minSessions: 2 },
+    );
+    assert.equal(streaks.currentStreak, 0);
+  });
+
+  it("counts streaks across month boundaries", () => {
+    const streaks = computeStreaks(
+      [session("2026-02-28T09:00:00Z"), session("2026-03-01T09:00:00Z")],
+      new Date("2026-03-01T12:00:00Z"),
+      "UTC",
+    );
+    assert.equal(streaks.currentStreak, 2);
+  });
+
+  it("ignores sessions with invalid timestamps", () => {
+    const streaks = computeStreaks([session("not a date")], now, "UTC");
+    assert.deepEqual(streaks.days, {});
+  });
+});
+
+// =============================================
+// Blueprint coverage
+// =============================================
+
+describe("computeBlueprintCoverage", () => {
+  const sessions = [
+    {
+      timestamp: "2025-06-01T12:00:00.000Z",
+      context: { unitId: 1, chapterNum: 1 },
+      score: { correct: 3, total: 4, percentage: 75 },
+      results: [
+        { id: "a", correct: true, tags: ["networking"] },
+        { id: "b", correct: true, tags: ["networking", "storage"] },
+        { id: "c", correct: false, tags: ["caching"] },
+        { id: "d", correct: true, tags: [] },
+        { id: "e", correct: false, tags: ["storage"], skipped: true },
+      ],
+    },
+    {
+      timestamp: "2025-06-02T12:00:00.000Z",
+      context: { unitId: 2, practiceAll: true },
+      score: { correct: 4, total: 4, percentage: 100 },
+      results: ["f", "g", "h", "i"].map((id) => ({ id, correct: true })),
+    },
+  ];
+
+  it("normalizes weights into target percentages", () => {
+    const coverage = computeBlueprintCoverage(
+      [],
+      [
+        { tag: "networking", weight: 3 },
+        { tag: "storage", weight: 1 },
+      ],
+    );
+    assert.deepEqual(
+      coverage.areas.map((a) => a.targetPercentage),
+      [75, 25],
+    );
+    assert.equal(coverage.totalAnswered, 0);
+  });
+
+  it("reports practiced share per tag, unit and chapter", () => {
+    const coverage = computeBlueprintCoverage(sessions, [
+      { tag: "networking", weight: 30 },
+      { tag: "storage", weight: 20 },
+      { unit: 2, weight: 40, label: "Systems" },
+      { chapter: "unit-1-chapter-1", weight: 10 },
+    ]);
+    assert.equal(coverage.totalAnswered, 8);
+    assert.deepEqual(
+      coverage.areas.map((a) => [a.label, a.answered, a.practicedPercentage]),
+      [
+        ["networking", 2, 25],
+        ["storage", 1, 13], // skipped result not counted
+        ["Systems", 4, 50],
+        ["unit-1-chapter-1", 4, 50],
+      ],
+    );
+  });
+
+  it("lists under-practiced areas by largest gap first", () => {
+    const coverage = computeBlueprintCoverage(sessions, [
+      { tag: "networking", weight: 30 },
+      { tag: "storage", weight: 30 },
+      { unit: 2, weight: 40 },
+    ]);
+    assert.deepEqual(
+      coverage.underPracticed.map((a) => [a.key, a.gap]),
+      [
+        ["storage", 17],
+        ["networking", 5],
+      ],
+    );
+  });
+
+  it("skips entries without an area or positive weight", () => {
+    const coverage = computeBlueprintCoverage(sessions, [
+      { weight: 10 },
+      { tag: "networking", weight: 0 },
+      { tag: "storage", weight: 5 },
+    ]);
+    assert.deepEqual(
+      coverage.areas.map((a) => a.key),
+      ["storage"],
+    );
+    assert.equal(coverage.areas[0].targetPercentage, 100);
+  });
+
+  it("places results from mixed-source sessions by their problem's chapter", () => {
+    const history = [
+      {
+        timestamp: "2025-06-01T12:00:00.000Z",
+        context: { unitId: 1, chapterNum: 1 },
+        score: { correct: 2, total: 2, percentage: 100 },
+        results: [
+          { id: "a", correct: true },
+          { id: "b", correct: true },
+        ],
+      },
+      {
+        timestamp: "2025-06-02T12:00:00.000Z",
+        context: { chapterTitle: "Blueprint practice", blueprint: true },
+        score: { correct: 1, total: 2, percentage: 50, skipped: 1 },
+        results: [
+          { id: "p", correct: true },
+          { id: "q", correct: false },
+          { id: "r", correct: false, skipped: true },
+        ],
+      },
+      {
+        timestamp: "2025-06-03T12:00:00.000Z",
+        context: { chapterTitle: "Bookmarks", bookmarks: true },
+        score: { correct: 2, total: 2, percentage: 100 },
+        results: [
+          { id: "a", correct: true },
+          { id: "p", correct: true },
+        ],
+      },
+    ];
+    const problemChapters = {
+      a: "unit-1-chapter-1",
+      b: "unit-1-chapter-1",
+      p: "unit-2-chapter-1",
+      q: "unit-2-chapter-3",
+      r: "unit-2-chapter-1",
+    };
+    const coverage = computeBlueprintCoverage(
+      history,
+      [
+        { unit: 1, weight: 50 },
+        { unit: 2, weight: 50 },
+        { chapter: "unit-2-chapter-1", weight: 25 },
+      ],
+      problemChapters,
+    );
+    assert.equal(coverage.totalAnswered, 6);
+    assert.deepEqual(
+      coverage.areas.map((a) => [a.key, a.answered, a.practicedPercentage]),
+      [
+        [1, 3, 50],
+        [2, 3, 50],
+        ["unit-2-chapter-1", 2, 33],
+      ],
+    );
+    assert.deepEqual(
+      coverage.underPracticed.map((a) => a.key),
+      [],
+    );
+  });
+
+  it("handles a missing blueprint", () => {
+    const coverage = computeBlueprintCoverage(sessions, undefined);
+    assert.deepEqual(coverage.areas, []);
+    assert.deepEqual(coverage.underPracticed, []);
+  });
+});
+
+describe("selectBlueprintProblems", () => {
+  function candidate(id, tags, unitId = 1, chapterNum = 1) {
+    return {
+      problem: { ...mcProblem(id), tags },
+      unitId,
+      chapterId: `unit-${unitId}-chapter-${chapterNum}`,
+    };
+  }
+  const candidates = [
+    candidate("n1", ["networking"]),
+    candidate("n2", ["networking"]),
+    candidate("n3", ["networking"]),
+    candidate("s1", ["storage"]),
+    candidate("s2", ["storage"]),
+    candidate("s3", ["storage"]),
+    candidate("u1", [], 2),
+    candidate("x1", ["other"]),
+  ];
+
+  it("fills slots in proportion to gaps", () => {
+    const coverage = computeBlueprintCoverage(
+      [
+        {
+          timestamp: "2025-06-01T12:00:00.000Z",
+          score: { correct: 4, total: 4, percentage: 100 },
+          results: ["a", "b", "c", "d"].map((id) => ({
+            id,
+            correct: true,
+            tags: ["networking"],
+          })),
+        },
+      ],
+      [
+        { tag: "networking", weight: 50 },
+        { tag: "storage", weight: 50 },
+      ],
+    );
+    const picked = selectBlueprintProblems(candidates, coverage, 2);
+    assert.deepEqual(
+      picked.map((p) => p.tags[0]),
+      ["storage", "storage"],
+    );
+  });
+
+  it("follows the target mix when there is no history", () => {
+    const coverage = computeBlueprintCoverage(
+      [],
+      [
+        { tag: "networking", weight: 50 },
+        { tag: "storage", weight: 50 },
+      ],
+    );
+    const picked = selectBlueprintProblems(candidates, coverage, 4);
+    const counts = { networking: 0, storage: 0 };
+    for (const p of picked) counts[p.tags[0]]++;
+    assert.deepEqual(counts, { networking: 2, storage: 2 });
+  });
+
+  it("matches unit and chapter areas and never picks outside the blueprint", () => {
+    const coverage = computeBlueprintCoverage([], [{ unit: 2, weight: 1 }]);
+    const picked = selectBlueprintProblems(candidates, coverage, 5);
+    assert.deepEqual(
+      picked.map((p) => p.id),
+      ["u1"],
+    );
+  });
+
+  it("tops up from other blueprint areas when a gap area runs dry", () => {
+    const coverage = computeBlueprintCoverage(
+      [],
+      [
+        { unit: 2, weight: 90 },
+        { tag: "storage", weight: 10 },
+      ],
+    );
+    const picked = selectBlueprintProblems(candidates, coverage, 3);
+    assert.equal(picked.length, 3);
+    assert.ok(picked.some((p) => p.id === "u1"));
+    assert.equal(new Set(picked.map((p) => p.id)).size, 3);
+  });
+
+  it("draws from the given random source, so a seed repeats the pick", () => {
+    const coverage = computeBlueprintCoverage(
+      [],
+      [
+        { tag: "networking", weight: 50 },
+        { tag: "storage", weight: 50 },
+      ],
+    );
+    const pick = (seed) =>
+      selectBlueprintProblems(
+        candidates,
+        coverage,
+        2,
+        createSeededRandom(seed),
+      ).map((p) => p.id);
+    assert.deepEqual(pick("cohort"), pick("cohort"));
+    const picks = new Set([1, 2, 3, 4, 5, 6].map((seed) => pick(seed).join()));
+    assert.ok(picks.size > 1);
+  });
+});
+
+describe("createSeededRandom", () => {
+  it("repeats its sequence for the same seed", () => {
+    const draw = (seed) => {
+      const random = createSeededRandom(seed);
+      return Array.from({ length: 5 }, () => random());
+    };
+    assert.deepEqual(draw("spring"), draw("spring"));
+    assert.deepEqual(draw(42), draw(42));
+    assert.notDeepEqual(draw(42), draw(43));
+    for (const value of draw("spring")) assert.ok(value >= 0 && value < 1);
+  });
+});
+
 // =============================================
 // computeProficiency
 // =============================================
@@ -2275,6 +5686,18 @@ describe("computeProficiency", () => {
     );
   });
 
+  it("hinted correct answers count as half a correct answer", () => {
+    const now = new Date("2025-06-01T12:00:00Z");
+    const lastSeen = "2025-06-01T12:00:00Z";
+    const hinted = { seen: 4, correct: 4, hintedCorrect: 4, lastSeen };
+    const half = { seen: 4, correct: 2, lastSeen };
+    assert.equal(computeProficiency(hinted, now), 0.5);
+    assert.equal(
+      computeProficiency(hinted, now),
+      computeProficiency(half, now),
+    );
+  });
+
   it("seen=0 → 0.5", () => {
     assert.equal(
       computeProficiency({ seen: 0, correct: 0, lastSeen: null }, new Date()),
@@ -2364,6 +5787,17 @@ describe("computeWeakestAreas", () => {
 // =============================================
 
 describe("computeSRWeights", () => {
+  it("boosts problems whose latest answer was confidently wrong", () => {
+    const now = new Date("2025-06-01T12:00:00Z");
+    const entry = { seen: 2, correct: 1, lastSeen: "2025-06-01T11:00:00Z" };
+    const weights = computeSRWeights(
+      [mcProblem("plain"), mcProblem("confident")],
+      { plain: entry, confident: { ...entry, confidentlyWrong: true } },
+      now,
+    );
+    assert.ok(Math.abs(weights.confident - weights.plain - 0.5) < 1e-9);
+  });
+
   it("returns higher weight for low-proficiency problems", () => {
     const now = new Date("2025-06-01T12:00:00Z");
     const problems = [mcProblem("good"), mcProblem("bad")];
@@ -2480,6 +5914,240 @@ describe("spaced repetition integration", () => {
   });
 });
 
+// =============================================
+// Elo ratings & adaptive selection
+// =============================================
+
+function taggedProblem(id, tags, correct = 1) {
+  return { ...mcProblem(id, correct), tags };
+}
+
+describe("computeExpectedSuccess", () => {
+  it("returns 0.5 for unrated learner and problem", () => {
+    assert.equal(computeExpectedSuccess(mcProblem("m1"), {}), 0.5);
+  });
+
+  it("follows the Elo curve (400 points ≈ 91%)", () => {
+    const ratings = { learner: { a: 1900 }, problems: { m1: 1500 } };
+    const expected = computeExpectedSuccess(
+      taggedProblem("m1", ["a"]),
+      ratings,
+    );
+    assert.ok(Math.abs(expected - 10 / 11) < 1e-9);
+  });
+
+  it("averages learner ratings across a problem's tags", () => {
+    const ratings = { learner: { a: 1700, b: 1300 }, problems: {} };
+    assert.equal(
+      computeExpectedSuccess(taggedProblem("m1", ["a", "b"]), ratings),
+      0.5,
+    );
+  });
+});
+
+describe("updateEloRatings", () => {
+  it("correct answer raises learner tags and lowers problem difficulty", () => {
+    const ratings = updateEloRatings({}, taggedProblem("m1", ["a", "b"]), 1);
+    assert.deepEqual(ratings, {
+      learner: { a: 1516, b: 1516 },
+      problems: { m1: 1484 },
+    });
+  });
+
+  it("wrong answer lowers learner and raises problem", () => {
+    const ratings = updateEloRatings({}, mcProblem("m1"), 0);
+    assert.deepEqual(ratings, {
+      learner: { "(untagged)": 1484 },
+      problems: { m1: 1516 },
+    });
+  });
+
+  it("partial credit moves ratings proportionally", () => {
+    const ratings = updateEloRatings({}, mcProblem("m1"), 0.5);
+    assert.equal(ratings.problems.m1, 1500);
+  });
+
+  it("does not mutate the input ratings", () => {
+    const input = { learner: { a: 1500 }, problems: { m1: 1500 } };
+    updateEloRatings(input, taggedProblem("m1", ["a"]), 1);
+    assert.deepEqual(input, { learner: { a: 1500 }, problems: { m1: 1500 } });
+  });
+});
+
+describe("selectAdaptiveProblem", () => {
+  it("returns null for no candidates", () => {
+    assert.equal(selectAdaptiveProblem([], {}), null);
+  });
+
+  it("picks the problem closest to 70% expected success", () => {
+    // Learner 1650 vs problems: easy 1200 (~85%), target 1500 (~70%), hard 1800 (~30%)
+    const ratings = {
+      learner: { a: 1650 },
+      problems: { easy: 1200, target: 1500, hard: 1800 },
+    };
+    const candidates = ["easy", "target", "hard"].map((id) =>
+      taggedProblem(id, ["a"]),
+    );
+    for (let i = 0; i < 20; i++) {
+      assert.equal(selectAdaptiveProblem(candidates, ratings).id, "target");
+    }
+  });
+
+  it("accepts a custom target", () => {
+    const ratings = {
+      learner: { a: 1650 },
+      problems: { easy: 1200, hard: 1800 },
+    };
+    const candidates = [
+      taggedProblem("easy", ["a"]),
+      taggedProblem("hard", ["a"]),
+    ];
+    assert.equal(selectAdaptiveProblem(candidates, ratings, 0.3).id, "hard");
+  });
+});
+
+describe("adaptive selection", () => {
+  it("updates ratings after each graded answer and emits ratingUpdate", () => {
+    const quiz = new OpenQuizzer({ selection: "adaptive" });
+    quiz.loadProblems([taggedProblem("m1", ["a"], 0)]);
+    const events = collectEvents(quiz, "ratingUpdate");
+    quiz.start();
+    quiz.selectOption(0);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].problemId, "m1");
+    assert.equal(events[0].expected, 0.5);
+    assert.equal(events[0].score, 1);
+    assert.deepEqual(quiz.ratings, {
+      learner: { a: 1516 },
+      problems: { m1: 1484 },
+    });
+    assert.deepEqual(events[0].ratings, quiz.ratings);
+  });
+
+  it("skips and timeouts leave ratings unchanged", () => {
+    const quiz = new OpenQuizzer({ selection: "adaptive" });
+    quiz.loadProblems([mcProblem("m1"), mcProblem("m2")]);
+    const events = collectEvents(quiz, "ratingUpdate");
+    quiz.start();
+    quiz.skip();
+    quiz.timeout();
+    assert.equal(events.length, 0);
+    assert.deepEqual(quiz.ratings, { learner: {}, problems: {} });
+  });
+
+  it("shuffle mode (default) does not touch ratings", () => {
+    const quiz = new OpenQuizzer();
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    const events = collectEvents(quiz, "ratingUpdate");
+    quiz.start();
+    quiz.selectOption(0);
+    assert.equal(events.length, 0);
+    assert.deepEqual(quiz.ratings, { learner: {}, problems: {} });
+  });
+
+  it("picks each next problem live from current ratings", () => {
+    const quiz = new OpenQuizzer({ selection: "adaptive" });
+    quiz.setRatings({
+      learner: { a: 1650 },
+      problems: { easy: 1200, target: 1500, hard: 1800 },
+    });
+    quiz.loadProblems(
+      ["easy", "target", "hard"].map((id) => taggedProblem(id, ["a"], 0)),
+    );
+    quiz.start();
+    assert.equal(quiz.problem.id, "target");
+    // Missing drops the learner's rating, so the easy problem is next
+    quiz.selectOption(1);
+    quiz.next();
+    assert.equal(quiz.problem.id, "easy");
+  });
+
+  it("serves every problem exactly once and keeps summary alignment", () => {
+    const quiz = new OpenQuizzer({ selection: "adaptive" });
+    const problems = [
+      taggedProblem("m1", ["a"], 0),
+      taggedProblem("m2", ["b"], 0),
+      numericProblem("n1"),
+    ];
+    quiz.loadProblems(problems);
+    quiz.start();
+    const served = [];
+    while (quiz.state !== "complete") {
+      served.push(quiz.problem.id);
+      if (quiz.problem.type === "numeric-input") quiz.submitNumeric("1000");
+      else quiz.selectOption(0);
+      quiz.next();
+    }
+    assert.deepEqual([...served].sort(), ["m1", "m2", "n1"]);
+    const summary = quiz.getSessionSummary();
+    assert.deepEqual(
+      summary.results.map((r) => r.id),
+      served,
+    );
+    assert.equal(summary.breakdownByType["numeric-input"].correct, 1);
+  });
+
+  it("respects maxProblems while drawing from the full pool", () => {
+    const quiz = new OpenQuizzer({ selection: "adaptive" });
+    quiz.setRatings({
+      learner: { a: 1650 },
+      problems: { easy: 1200, target: 1500, hard: 1800 },
+    });
+    quiz.loadProblems(
+      ["easy", "target", "hard"].map((id) => taggedProblem(id, ["a"])),
+      1,
+    );
+    quiz.start();
+    assert.equal(quiz.progress.total, 1);
+    assert.equal(quiz.problem.id, "target");
+  });
+
+  it("setRatings ignores invalid input and ratings getter returns a copy", () => {
+    const quiz = new OpenQuizzer({ selection: "adaptive" });
+    quiz.setRatings(null);
+    quiz.ratings.learner.a = 2000;
+    assert.deepEqual(quiz.ratings, { learner: {}, problems: {} });
+  });
+
+  it("unknown selection mode falls back to shuffle", () => {
+    const quiz = new OpenQuizzer({ selection: "smart" });
+    quiz.loadProblems([mcProblem("m1", 0)]);
+    const events = collectEvents(quiz, "ratingUpdate");
+    quiz.start();
+    quiz.selectOption(0);
+    assert.equal(events.length, 0);
+  });
+
+  it("resumes on the problem picked before the snapshot", () => {
+    const problems = [0, 1, 2, 3, 4, 5].map((n) => ({
+      ...mcProblem(`m${n}`),
+      hints: ["A hint"],
+    }));
+    for (let seed = 1; seed <= 20; seed++) {
+      const quiz = new OpenQuizzer({ selection: "adaptive", seed });
+      quiz.loadProblems(problems);
+      quiz.start();
+      quiz.selectOption(1);
+      quiz.next();
+      quiz.requestHint();
+      const snapshot = quiz.getSnapshot();
+
+      const restored = new OpenQuizzer({ selection: "adaptive" });
+      restored.restoreSession(snapshot);
+      restored.resume();
+      assert.equal(restored.problem.id, quiz.problem.id, `seed ${seed}`);
+      restored.selectOption(1);
+      assert.equal(restored.answers[1].hintsUsed, 1, `seed ${seed}`);
+      // The slot after the resumed one is picked live again
+      restored.next();
+      assert.ok(
+        !restored.answers.some((a) => a.problemId === restored.problem.id),
+        `seed ${seed}`,
+      );
+    }
+  });
+});
+
 // =============================================
 // index.html UI wiring contracts
 // =============================================
@@ -2489,7 +6157,7 @@ describe("spaced repetition integration", () => {
 // These would have caught the v2.4 accidental deletion of ~200 lines
 // of UI code that all 59 engine-only tests missed.
 
-import { readFileSync } from "node:fs";
+import { existsSync, readFileSync } from "node:fs";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
 
@@ -2523,7 +6191,29 @@ describe("index.html UI wiring contracts", () => {
       "renderNumericQuestion",
       "renderMultiSelectQuestion",
       "renderTwoStageQuestion",
+      "renderCaseContext",
+      "showCaseScore",
+      "showDistractorFeedback",
+      // Hotspot
+      "renderHotspotQuestion",
+      "renderHotspotMarkers",
+      "renderHotspotRegions",
+      // Images
+      "resolveAssetPath",
+      "createImageFigure",
+      "renderQuestionImage",
+      "appendOptionImage",
+      "openImageZoom",
+      "closeImageZoom",
       "renderOrderingQuestion",
+      "renderFillInBlankQuestion",
+      "renderMatchingQuestion",
+      "updateMatchingDisplay",
+      "handleMatchingTap",
+      // Review mode
+      "formatReviewAnswer",
+      "renderReviewItem",
+      "showReviewView",
       // Feedback/results
       "showFeedback",
       "showResultsView",
@@ -2563,6 +6253,53 @@ describe("index.html UI wiring contracts", () => {
       "loadProblemTracking",
       "saveProblemTracking",
       "clearProblemTracking",
+      // Bookmarks
+      "loadBookmarks",
+      "saveBookmarks",
+      "updateBookmarkButton",
+      "renderBookmarksEntry",
+      "recordProblemMetadata",
+      "loadBookmarkedProblems",
+      // Adaptive ratings
+      "loadRatings",
+      "saveRatings",
+      "clearRatings",
+      // Offline support
+      "getPrecacheUrls",
+      "updateOfflineStatus",
+      "registerServiceWorker",
+      "loadErrorMessage",
+      // Streaks
+      "getStreaks",
+      "renderStreakCalendar",
+      // Confidence
+      "resetConfidencePicker",
+      "updateConfidencePicker",
+      "renderCalibrationSection",
+      // Hints
+      "renderHints",
+      "appendHint",
+      "hintNoteText",
+      "updateHintButton",
+      // Numeric estimates
+      "describeErrorRatio",
+      "renderEstimationSection",
+      // Exam mode
+      "renderExamNav",
+      "showExamResponse",
+      "confirmSubmitExam",
+      "snapshotAnsweredCount",
+      // Blueprint
+      "hasBlueprint",
+      "loadBlueprintSession",
+      "problemChapterIds",
+      "blueprintAreaLabel",
+      "renderBlueprintSection",
+      // Session time limit
+      "sessionTimeLimitFor",
+      "sessionWarningThreshold",
+      "updateSessionTimer",
+      "hideSessionTimer",
     ];
 
     for (const name of requiredFunctions) {
@@ -2632,12 +6369,28 @@ describe("index.html UI wiring contracts", () => {
     const requiredEvents = [
       "questionShow",
       "optionSelected",
-      "twoStageAdvance",
+      "stageAdvance",
       "numericResult",
+      "numericParseError",
       "multiSelectToggle",
       "multiSelectResult",
       "orderingUpdate",
       "orderingResult",
+      "textResult",
+      "matchingUpdate",
+      "matchingResult",
+      "hotspotUpdate",
+      "hotspotResult",
+      "reviewShow",
+      "reviewComplete",
+      "bookmarkChange",
+      "ratingUpdate",
+      "confidenceChange",
+      "hintShown",
+      "examAnswer",
+      "flagChange",
+      "sessionTick",
+      "sessionTimeout",
       "complete",
       "skip",
       "timeout",
@@ -2668,6 +6421,9 @@ describe("index.html UI wiring contracts", () => {
       "computeProficiency",
       "computeWeakestAreas",
       "computeSRWeights",
+      "computeStreaks",
+      "computeBlueprintCoverage",
+      "selectBlueprintProblems",
     ];
 
     for (const name of requiredImports) {
@@ -2725,6 +6481,89 @@ describe("index.html UI wiring contracts", () => {
       );
     });
 
+    it("binds fillBlankSubmit click", () => {
+      assert.ok(
+        script.includes('fillBlankSubmit.addEventListener("click"'),
+        "missing fillBlankSubmit click listener — fill-in-blank answers cannot be submitted",
+      );
+    });
+
+    it("binds fillBlankSentence keydown for Enter", () => {
+      assert.ok(
+        script.includes('fillBlankSentence.addEventListener("keydown"'),
+        "missing fillBlankSentence keydown listener — Enter key will not submit",
+      );
+    });
+
+    it("binds matching column clicks for tap-to-pair", () => {
+      for (const element of ["matchingLeft", "matchingRight"]) {
+        assert.ok(
+          script.includes(`${element}.addEventListener("click"`),
+          `missing ${element} click listener — matching items cannot be paired`,
+        );
+      }
+    });
+
+    it("binds matchingSubmit click", () => {
+      assert.ok(
+        script.includes('matchingSubmit.addEventListener("click"'),
+        "missing matchingSubmit click listener — matching answers cannot be submitted",
+      );
+    });
+
+    it("binds review navigation clicks", () => {
+      for (const element of ["reviewBtn", "reviewNextBtn", "reviewExitBtn"]) {
+        assert.ok(
+          script.includes(`${element}.addEventListener("click"`),
+          `missing ${element} click listener — review mode cannot be navigated`,
+        );
+      }
+    });
+
+    it("binds hotspotStage click", () => {
+      assert.ok(
+        script.includes('hotspotStage.addEventListener("click"'),
+        "missing hotspotStage click listener — hotspot points cannot be placed",
+      );
+    });
+
+    it("binds hotspotSubmit click", () => {
+      assert.ok(
+        script.includes('hotspotSubmit.addEventListener("click"'),
+        "missing hotspotSubmit click listener — hotspot answers cannot be submitted",
+      );
+    });
+
+    it("binds imageZoom click", () => {
+      assert.ok(
+        script.includes('imageZoom.addEventListener("click"'),
+        "missing imageZoom click listener — zoomed images cannot be closed",
+      );
+    });
+
+    it("binds practiceBlueprintBtn click", () => {
+      assert.ok(
+        script.includes('practiceBlueprintBtn.addEventListener("click"'),
+        "missing practiceBlueprintBtn click listener — blueprint sessions cannot start",
+      );
+    });
+
+    it("binds confidencePicker click", () => {
+      assert.ok(
+        script.includes('confidencePicker.addEventListener("click"'),
+        "missing confidencePicker click listener — confidence cannot be rated",
+      );
+    });
+
+    it("binds bookmark clicks", () => {
+      for (const element of ["bookmarkBtn", "practiceBookmarksBtn"]) {
+        assert.ok(
+          script.includes(`${element}.addEventListener("click"`),
+          `missing ${element} click listener — bookmarks will not work`,
+        );
+      }
+    });
+
     it("binds skipBtn click", () => {
       assert.ok(
         script.includes('skipBtn.addEventListener("click"') ||
@@ -2766,9 +6605,66 @@ describe("index.html UI wiring contracts", () => {
       "stage-indicator",
       "stage-context",
       "stage-context-text",
+      "stage-context-label",
+      "stage-constraint",
+      "case-score",
+      "distractor-feedback",
+      "exam-nav",
+      "exam-grid",
+      "exam-status",
+      "exam-submit-btn",
+      "question-image",
+      "review-image",
+      "hotspot-container",
+      "hotspot-hint",
+      "hotspot-stage",
+      "hotspot-image",
+      "hotspot-overlay",
+      "hotspot-markers",
+      "hotspot-submit",
+      "image-zoom",
+      "image-zoom-img",
       "ordering-submit",
+      "matching-container",
+      "matching-left",
+      "matching-right",
+      "matching-submit",
+      "fill-blank-container",
+      "fill-blank-sentence",
+      "fill-blank-submit",
       "skip-btn",
       "results-breakdown",
+      "credit-label",
+      // Review mode
+      "review",
+      "review-btn",
+      "review-next-btn",
+      "review-exit-btn",
+      // Bookmarks
+      "bookmark-btn",
+      "bookmarks-entry",
+      "practice-bookmarks-btn",
+      // Offline support
+      "offline-status",
+      // Streaks
+      "streak-badge",
+      "dashboard-streaks",
+      // Confidence
+      "confidence-picker",
+      "dashboard-calibration",
+      // Hints
+      "hint-area",
+      "hint-list",
+      "hint-note",
+      "hint-btn",
+      // Numeric answers
+      "numeric-normalized",
+      "numeric-error",
+      "dashboard-estimation",
+      // Blueprint
+      "blueprint-entry",
+      "practice-blueprint-btn",
+      "dashboard-blueprint",
       // v2.8 — Dashboard & history
       "dashboard",
       "dashboard-btn",
@@ -2785,6 +6681,7 @@ describe("index.html UI wiring contracts", () => {
       "feedback-detail",
       // v2.9 — Timer
       "timer-display",
+      "session-timer",
       "timed-out-label",
       "timer-settings",
       "timer-options",
@@ -2852,6 +6749,207 @@ describe("index.html UI wiring contracts", () => {
     });
   });
 
+  // -----------------------------------------
+  // Bookmark wiring
+  // -----------------------------------------
+
+  describe("bookmark wiring", () => {
+    it("restores bookmarks from storage on load", () => {
+      assert.ok(
+        script.includes("quiz.setBookmarks(loadBookmarks())"),
+        "missing quiz.setBookmarks(loadBookmarks()) — bookmarks will not persist",
+      );
+    });
+
+    it("records chapterId in problem metadata for the bookmark loader", () => {
+      assert.ok(
+        /allProblemsById\[p\.id\] = \{[^}]*chapterId/.test(script),
+        "missing chapterId in allProblemsById — bookmarked problems cannot be located",
+      );
+    });
+
+    it("clear history keeps bookmarks and their metadata", () => {
+      const start = script.indexOf("function clearHistory()");
+      const end = script.indexOf(
+        "}\n",
+        script.indexOf("hideDashboard();", start),
+      );
+      const body = script.slice(start, end);
+      assert.ok(start >= 0, "missing clearHistory()");
+      assert.ok(
+        !body.includes("setBookmarks(") && !body.includes("-bookmarks"),
+        "clearHistory() removes bookmarks — they are learner-curated, not history",
+      );
+      assert.ok(
+        body.includes("quiz.bookmarks"),
+        "clearHistory() drops bookmark metadata — bookmarked problems cannot be located",
+      );
+    });
+  });
+
+  // -----------------------------------------
+  // Images
+  // -----------------------------------------
+
+  describe("image paths", () => {
+    function getResolveAssetPath() {
+      const start = script.indexOf("function resolveAssetPath(");
+      const end = script.indexOf("function createImageFigure(");
+      assert.ok(start >= 0, "missing resolveAssetPath()");
+      assert.ok(end > start, "missing createImageFigure()");
+      return new Function(
+        `${script.slice(start, end)}\nreturn resolveAssetPath;`,
+      )();
+    }
+
+    it("resolves relative paths against content/", () => {
+      const resolveAssetPath = getResolveAssetPath();
+      assert.equal(
+        resolveAssetPath("images/diagram.png"),
+        "content/images/diagram.png",
+      );
+    });
+
+    it("leaves absolute paths and URLs untouched", () => {
+      const resolveAssetPath = getResolveAssetPath();
+      for (const src of [
+        "/static/chart.svg",
+        "https://example.com/chart.png",
+        "data:image/png;base64,AAAA",
+      ]) {
+        assert.equal(resolveAssetPath(src), src);
+      }
+    });
+  });
+
+  // -----------------------------------------
+  // Offline support
+  // -----------------------------------------
+
+  describe("offline support", () => {
+    const sw = readFileSync(join(__dirname, "sw.js"), "utf-8");
+    const manifest = JSON.parse(
+      readFileSync(join(__dirname, "manifest.webmanifest"), "utf-8"),
+    );
+
+    function getPrecacheUrlsFor(config) {
+      const start = script.indexOf("function getPrecacheUrls()");
+      const end = script.indexOf("async function updateOfflineStatus()");
+      assert.ok(start >= 0, "missing getPrecacheUrls()");
+      assert.ok(end > start, "missing updateOfflineStatus()");
+      return new Function(
+        "CONFIG",
+        `${script.slice(start, end)}\nreturn getPrecacheUrls();`,
+      )(config);
+    }
+
+    it("precaches only ready chapters across units", () => {
+      const urls = getPrecacheUrlsFor({
+        units: [
+          {
+            id: 1,
+            chapters: [
+              { num: 1, ready: true },
+              { num: 2, ready: false },
+            ],
+          },
+          { id: 2, chapters: [{ num: 1, ready: true }] },
+        ],
+      });
+      assert.deepEqual(urls, [
+        "content/unit-1-chapter-1.json",
+        "content/unit-2-chapter-1.json",
+      ]);
+    });
+
+    it("registers sw.js and links the manifest", () => {
+      assert.ok(
+        script.includes('.register("sw.js")'),
+        "missing service worker registration — app will not work offline",
+      );
+      assert.ok(
+        html.includes('<link rel="manifest" href="manifest.webmanifest" />'),
+        "missing manifest link — app cannot be installed",
+      );
+    });
+
+    it("sw.js precaches the app shell", () => {
+      for (const file of [
+        "./index.html",
+        "./openquizzer.js",
+        "./config.js",
+        "./manifest.webmanifest",
+        "./icons/icon-192.png",
+        "./icons/icon-512.png",
+      ]) {
+        assert.ok(sw.includes(`"${file}"`), `sw.js does not precache ${file}`);
+      }
+    });
+
+    it("sw.js versions its cache and handles precache messages", () => {
+      assert.match(sw, /const CACHE_VERSION = "[^"]+"/);
+      assert.ok(
+        sw.includes('data.type !== "precache"'),
+        "sw.js ignores precache messages — content will not be cached",
+      );
+    });
+
+    it("manifest name matches CONFIG.title", () => {
+      assert.equal(
+        manifest.name,
+        CONFIG.title,
+        "manifest.webmanifest name does not match CONFIG.title — update the manifest",
+      );
+    });
+
+    it("manifest lists 192px and 512px icons that exist", () => {
+      for (const size of ["192x192", "512x512"]) {
+        const icon = (manifest.icons ?? []).find((i) => i.sizes === size);
+        assert.ok(
+          icon,
+          `manifest has no ${size} icon — app cannot be installed`,
+        );
+        assert.ok(
+          existsSync(join(__dirname, icon.src)),
+          `manifest icon ${icon.src} does not exist`,
+        );
+      }
+    });
+  });
+
+  // -----------------------------------------
+  // Adaptive selection wiring
+  // -----------------------------------------
+
+  describe("adaptive selection wiring", () => {
+    it("passes CONFIG.selection to the engine", () => {
+      assert.ok(
+        script.includes("selection: CONFIG.selection"),
+        "missing selection: CONFIG.selection — adaptive mode cannot be enabled",
+      );
+    });
+
+    it("restores ratings from storage on load", () => {
+      assert.ok(
+        script.includes("quiz.setRatings(loadRatings())"),
+        "missing quiz.setRatings(loadRatings()) — Elo ratings will reset every visit",
+      );
+    });
+  });
+
+  // -----------------------------------------
+  // Partial credit wiring
+  // -----------------------------------------
+
+  describe("partial credit wiring", () => {
+    it("passes CONFIG.scoring to the engine", () => {
+      assert.ok(
+        script.includes("scoring: CONFIG.scoring"),
+        "missing scoring: CONFIG.scoring — partial-credit config will be ignored",
+      );
+    });
+  });
+
   // -----------------------------------------
   // References rendering
   // -----------------------------------------
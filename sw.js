@@ -0,0 +1,94 @@
+// OpenQuizzer service worker — offline support.
+// Precaches the app shell on install. The page posts the list of ready
+// content files (built from CONFIG.units) so chapters are cached too.
+// Requests go network-first so online users always see fresh content;
+// the cache is the fallback when the network is unavailable.
+//
+// Bump CACHE_VERSION when releasing a new version: the new worker
+// re-caches everything and deletes the previous version's cache.
+
+const CACHE_VERSION = "v1";
+
+// Scope-specific prefix so multiple instances on one origin don't evict
+// each other's caches
+const CACHE_PREFIX = `openquizzer-${self.registration.scope}-`;
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+const APP_SHELL = [
+  "./",
+  "./index.html",
+  "./openquizzer.js",
+  "./config.js",
+  "./manifest.webmanifest",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// { type: "precache", urls } from the page → cache every ready chapter,
+// then reply so the page can refresh its offline indicator
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+  if (data.type !== "precache" || !Array.isArray(data.urls)) return;
+
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(data.urls))
+      .then(
+        () => ({ type: "precacheComplete", ok: true }),
+        () => ({ type: "precacheComplete", ok: false }),
+      )
+      .then((reply) => {
+        if (event.source) event.source.postMessage(reply);
+      }),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  if (new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches.match(request, { ignoreSearch: true }).then((cached) => {
+          if (cached) return cached;
+          // Offline navigation to any page in scope falls back to the shell
+          if (request.mode === "navigate") return caches.match("./index.html");
+          return Response.error();
+        }),
+      ),
+  );
+});